@@ -0,0 +1,99 @@
+const users = require('../services/users');
+const { issueToken, issueStreamToken } = require('../middlewares/auth');
+
+function validRole(role) {
+    return users.ROLES.includes(role);
+}
+
+module.exports.login = async function (req, res) {
+    try {
+        const { username, password } = req.body;
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const user = await users.authenticate(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        return res.status(200).json({
+            token: issueToken(user),
+            user: { username: user.username, name: user.name, role: user.role }
+        });
+    } catch (err) {
+        console.error('Error logging in:', err);
+        return res.status(500).json({ error: 'Failed to log in' });
+    }
+};
+
+module.exports.me = function (req, res) {
+    return res.status(200).json({ user: req.user });
+};
+
+// Token for opening the event stream with EventSource, as
+// /inventory/events?access_token=<token>
+module.exports.streamToken = function (req, res) {
+    return res.status(200).json({ token: issueStreamToken(req.user) });
+};
+
+module.exports.listUsers = async function (req, res) {
+    try {
+        return res.status(200).json({ results: await users.listUsers() });
+    } catch (err) {
+        console.error('Error listing users:', err);
+        return res.status(500).json({ error: 'Failed to list users' });
+    }
+};
+
+module.exports.createUser = async function (req, res) {
+    try {
+        const { username, password, name, role } = req.body;
+        if (!username || !password || !role) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        if (!validRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${users.ROLES.join(', ')}` });
+        }
+
+        const user = await users.createUser({ username, password, name, role });
+        if (!user) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        return res.status(201).json({ message: 'User created successfully', data: user });
+    } catch (err) {
+        console.error('Error creating user:', err);
+        return res.status(500).json({ error: 'Failed to create user' });
+    }
+};
+
+module.exports.updateUser = async function (req, res) {
+    try {
+        const { password, name, role, disabled } = req.body;
+
+        if (role !== undefined && !validRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${users.ROLES.join(', ')}` });
+        }
+
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'Disabled must be true or false' });
+        }
+
+        // Admins can't lock themselves out by accident
+        if (req.params.username === req.user.username && (disabled === true || (role && role !== 'admin'))) {
+            return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+        }
+
+        const user = await users.updateUser(req.params.username, { password, name, role, disabled });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        return res.status(200).json({ message: 'User updated successfully', data: user });
+    } catch (err) {
+        console.error('Error updating user:', err);
+        return res.status(500).json({ error: 'Failed to update user' });
+    }
+};
@@ -0,0 +1,8 @@
+module.exports.cacheStats = async function (req, res) {
+    try {
+        return res.status(200).json(req.storage.cacheStats());
+    } catch (err) {
+        console.error('Error reading cache stats:', err);
+        return res.status(500).json({ error: 'Failed to read cache stats' });
+    }
+};
@@ -0,0 +1,52 @@
+const events = require('../services/events');
+
+const HEARTBEAT_MS = 25000;
+
+function parseTypes(value) {
+    return value ? value.split(',').map(type => type.trim().toLowerCase()) : [];
+}
+
+// Server-Sent Events stream of stock events, optionally narrowed with
+// ?types=issue,receive and ?location=. A client reconnecting with
+// Last-Event-ID first gets the events it missed, as far as they are kept.
+module.exports.streamEvents = function (req, res) {
+    const types = parseTypes(req.query.types);
+    const unknown = types.filter(type => !events.EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown event type: ${unknown.join(', ')}` });
+    }
+    const { location } = req.query;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = event => {
+        if ((types.length > 0 && !types.includes(event.type)) || (location && event.location !== location)) {
+            return;
+        }
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+        const missed = events.eventsSince(lastEventId);
+        if (missed === null) {
+            // Too old to replay; the client should reload current stock instead
+            res.write('event: reset\ndata: {}\n\n');
+        } else {
+            missed.forEach(send);
+        }
+    }
+
+    const unsubscribe = events.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+};
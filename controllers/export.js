@@ -0,0 +1,103 @@
+const exporter = require('../services/exporter');
+const ledger = require('../services/ledger');
+const search = require('../services/search');
+const archive = require('../services/archive');
+const { formatDate } = require('../utils/timestamp');
+
+const INVENTORY_COLUMNS = [
+    'Location', 'Item Code', 'Description', 'UOM', 'Qty',
+    'Condition', 'Returnable Item', 'Category', 'Date Counted', 'Image Link'
+];
+const TRANSACTION_COLUMNS = [
+    'Transaction ID', 'Type', 'Timestamp', 'Item Code', 'Qty', 'Location', 'To Location', 'Description',
+    'Returnable Item', 'Person', 'Activity', 'Notes/Comments', 'Image Link', 'Voided'
+];
+
+// Validates format and columns. Returns { error } or { format, columns }.
+function parseExportOptions(query, available) {
+    if ([query.format, query.columns].some(value => value !== undefined && typeof value !== 'string')) {
+        return { error: 'Export options may only be given once' };
+    }
+
+    const format = (query.format || 'csv').toLowerCase();
+    if (!exporter.EXPORT_FORMATS.includes(format)) {
+        return { error: `Format must be one of: ${exporter.EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const selected = exporter.selectColumns(query.columns, available);
+    if (selected.error) {
+        return { error: selected.error };
+    }
+    return { format, columns: selected.columns };
+}
+
+function handleExportError(res, err, message) {
+    console.error(`Error: ${message}`, err);
+    // Once streaming has started the status line is gone, so the connection is cut instead
+    if (res.headersSent) {
+        return res.destroy(err);
+    }
+    return res.status(500).json({ error: message });
+}
+
+module.exports.exportInventory = async function (req, res) {
+    try {
+        const items = await req.storage.listInventory();
+        const headers = items.length > 0
+            ? Object.keys(items[0]).filter(key => key !== 'row')
+            : INVENTORY_COLUMNS;
+        const available = [...headers, 'Row'];
+
+        const options = parseExportOptions(req.query, available);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const criteria = search.parseSearchQuery(req.query);
+        if (criteria.error) {
+            return res.status(400).json({ error: criteria.error });
+        }
+
+        await exporter.sendExport(res, {
+            format: options.format,
+            // The sheet row is only exported when asked for
+            columns: req.query.columns ? options.columns : headers,
+            rows: search.applySearch(await archive.annotateArchived(req.storage, items), criteria),
+            title: 'Inventory Stock Sheet',
+            filename: `inventory-${formatDate(new Date())}`
+        });
+    } catch (err) {
+        return handleExportError(res, err, 'Failed to export inventory');
+    }
+};
+
+module.exports.exportTransactions = async function (req, res) {
+    try {
+        const filters = ledger.parseTransactionFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        const options = parseExportOptions(req.query, TRANSACTION_COLUMNS);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const { keyword } = req.query;
+        if (keyword !== undefined && typeof keyword !== 'string') {
+            return res.status(400).json({ error: 'Search parameters may only be given once' });
+        }
+        const transactions = (await ledger.listTransactions(req.storage))
+            .filter(transaction => ledger.matchesFilters(transaction, filters))
+            .filter(transaction => !keyword || search.matchesKeyword(transaction, keyword));
+
+        await exporter.sendExport(res, {
+            ...options,
+            rows: transactions,
+            title: 'Inventory Movements',
+            filename: `transactions-${formatDate(new Date())}`
+        });
+    } catch (err) {
+        return handleExportError(res, err, 'Failed to export transactions');
+    }
+};
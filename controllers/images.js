@@ -0,0 +1,156 @@
+const images = require('../services/images');
+const { withLock, itemKey } = require('../utils/lock');
+
+// Location comes from the multipart body on uploads and the query string otherwise
+function requestLocation(req) {
+    return req.body.location || req.query.location;
+}
+
+// Loads the item named by the route, answering the request when it can't be found
+async function loadItem(req, res) {
+    const location = requestLocation(req);
+    if (!location) {
+        res.status(400).json({ error: 'Missing required fields' });
+        return null;
+    }
+
+    const item = await req.storage.findItem(req.params.code, location);
+    if (!item) {
+        res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+        return null;
+    }
+    return item;
+}
+
+function handleImageError(res, err, message) {
+    console.error(`${message}:`, err);
+    if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    return res.status(500).json({ error: message });
+}
+
+module.exports.listItemImages = async function (req, res) {
+    try {
+        const item = await loadItem(req, res);
+        if (!item) {
+            return;
+        }
+
+        const records = await images.listItemImages(req.storage, item['Item Code'], item.Location);
+        return res.status(200).json({ results: records.map(images.toImageView) });
+    } catch (err) {
+        return handleImageError(res, err, 'Failed to list item images');
+    }
+};
+
+module.exports.addItemImages = async function (req, res) {
+    const storedImages = [];
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No image file uploaded' });
+        }
+
+        const location = requestLocation(req);
+        return await withLock(itemKey(req.params.code, location), async () => {
+            const item = await loadItem(req, res);
+            if (!item) {
+                return;
+            }
+
+            for (const file of req.files) {
+                storedImages.push(await images.storeImage(req.imageStore, file));
+            }
+
+            await images.adoptLegacyImage(req.storage, item, req.user.username);
+            const records = [];
+            // Once recorded, an image is no longer discarded if a later one fails
+            while (storedImages.length > 0) {
+                records.push(await images.appendItemImage(req.storage, item, storedImages[0], req.user.username));
+                storedImages.shift();
+            }
+            await images.syncPrimaryImage(req.storage, item);
+
+            return res.status(201).json({
+                message: 'Images added successfully',
+                results: records.map(images.toImageView)
+            });
+        });
+    } catch (err) {
+        await images.discardStoredImages(req.imageStore, storedImages);
+        return handleImageError(res, err, 'Failed to add item images');
+    }
+};
+
+module.exports.replaceItemImage = async function (req, res) {
+    let storedImage = null;
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No image file uploaded' });
+        }
+
+        const location = requestLocation(req);
+        return await withLock(itemKey(req.params.code, location), async () => {
+            const item = await loadItem(req, res);
+            if (!item) {
+                return;
+            }
+
+            const record = await images.findItemImage(req.storage, item, parseInt(req.params.imageId, 10));
+            if (!record) {
+                return res.status(404).json({ error: 'Image not found' });
+            }
+
+            storedImage = await images.storeImage(req.imageStore, req.file);
+            const updated = await images.updateItemImage(req.storage, record, {
+                ...storedImage,
+                'Added By': req.user.username,
+                'Added At': new Date().toISOString()
+            });
+            storedImage = null;
+
+            // The old files are only deleted once nothing points at them
+            await images.syncPrimaryImage(req.storage, item);
+            await images.discardStoredImages(req.imageStore, [record]);
+
+            return res.status(200).json({
+                message: 'Image replaced successfully',
+                data: images.toImageView(updated)
+            });
+        });
+    } catch (err) {
+        if (storedImage) {
+            await images.discardStoredImages(req.imageStore, [storedImage]);
+        }
+        return handleImageError(res, err, 'Failed to replace item image');
+    }
+};
+
+module.exports.removeItemImage = async function (req, res) {
+    try {
+        const location = requestLocation(req);
+        return await withLock(itemKey(req.params.code, location), async () => {
+            const item = await loadItem(req, res);
+            if (!item) {
+                return;
+            }
+
+            const record = await images.findItemImage(req.storage, item, parseInt(req.params.imageId, 10));
+            if (!record) {
+                return res.status(404).json({ error: 'Image not found' });
+            }
+
+            await images.updateItemImage(req.storage, record, {
+                Status: 'Removed',
+                'Removed By': req.user.username,
+                'Removed At': new Date().toISOString()
+            });
+            await images.syncPrimaryImage(req.storage, item);
+            await images.discardStoredImages(req.imageStore, [record]);
+
+            return res.status(200).json({ message: 'Image removed successfully' });
+        });
+    } catch (err) {
+        return handleImageError(res, err, 'Failed to remove item image');
+    }
+};
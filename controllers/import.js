@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const importer = require('../services/importer');
+const itemCodes = require('../services/itemCodes');
+const archive = require('../services/archive');
+const writeQueue = require('../services/writeQueue');
+const events = require('../services/events');
+const { formatTimestamp } = require('../utils/timestamp');
+const { withLock, withLocks, itemKey } = require('../utils/lock');
+const { isUnexpected } = require('../utils/errors');
+
+const DEFAULT_BATCH_SIZE = 100;
+
+function summarize(report) {
+    const summary = { total: report.length, create: 0, receipt: 0, error: 0 };
+    report.forEach(line => {
+        summary[line.action] += 1;
+    });
+    return summary;
+}
+
+async function applyReceipt(storage, entry, importedBy) {
+    return withLock(itemKey(entry['Item Code'], entry.Location), async () => {
+        const item = await storage.findItem(entry['Item Code'], entry.Location);
+        if (!item) {
+            throw new Error('Item not found in inventory for the specified location');
+        }
+        if (await archive.isArchived(storage, item)) {
+            throw new Error('Item is archived');
+        }
+
+        const record = {
+            'Entry ID': crypto.randomUUID(),
+            Timestamp: formatTimestamp(new Date()),
+            'Item Code': entry['Item Code'],
+            'Receipt Qty': entry.Qty,
+            Location: entry.Location,
+            Description: item.Description || '',
+            'Returnable Item': item['Returnable Item'] || '',
+            'Received by': importedBy,
+            'Notes/Comments': 'Bulk import',
+            'Image Link': item['Image Link'] || ''
+        };
+
+        const newQty = (parseFloat(item.Qty) || 0) + entry.Qty;
+        return writeQueue.submit(storage, {
+            type: 'receipt',
+            lockKeys: [itemKey(entry['Item Code'], entry.Location)],
+            steps: [
+                { op: 'updateQty', item, qty: newQty },
+                { op: 'appendReceipt', record }
+            ],
+            event: events.movement('receive', item, newQty, importedBy, record)
+        });
+    });
+}
+
+module.exports.importInventory = async function (req, res) {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No import file uploaded' });
+        }
+
+        const { confirm } = req.body;
+        const importedBy = req.user.username;
+
+        const parsed = await importer.readImportFile(req.file);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        // Codes are checked and written while their prefixes are locked, so
+        // generated codes can't be handed out between planning and writing
+        const codeLocks = parsed.entries.map(entry => itemCodes.codeLockKey(entry.Category));
+        return await withLocks(codeLocks, async () => {
+            const items = await req.storage.listInventory();
+            const report = importer.planImport(parsed.entries, items);
+            const summary = summarize(report);
+
+            // Without confirmation nothing is written, the report is the dry run
+            if (confirm !== 'true' && confirm !== true) {
+                return res.status(200).json({ dryRun: true, summary, rows: report });
+            }
+
+            if (summary.error > 0) {
+                return res.status(400).json({ error: 'Import file has invalid rows', summary, rows: report });
+            }
+
+            const batchSize = parseInt(process.env.IMPORT_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE;
+            const currentDate = new Date().toISOString().split('T')[0];
+
+            // New rows go first so receipts for lines repeated in the file find them
+            const creates = report.filter(line => line.action === 'create');
+            for (let i = 0; i < creates.length; i += batchSize) {
+                const batch = creates.slice(i, i + batchSize);
+                try {
+                    const items = await req.storage.appendItems(batch.map(line => ({
+                        ...line.entry,
+                        'Date Counted': currentDate
+                    })));
+                    batch.forEach(line => {
+                        line.status = 'applied';
+                    });
+                    items.forEach(item => events.publish(events.added(item, importedBy)));
+                } catch (err) {
+                    console.error('Error importing inventory batch:', err);
+                    batch.forEach(line => {
+                        line.status = 'failed';
+                        line.errors.push('Failed to write inventory row');
+                    });
+                }
+            }
+
+            for (const line of report.filter(line => line.action === 'receipt')) {
+                try {
+                    const job = await applyReceipt(req.storage, line.entry, importedBy);
+                    line.status = writeQueue.isCommitted(job) ? 'applied' : 'pending';
+                    line.transaction = job.id;
+                } catch (err) {
+                    if (isUnexpected(err)) {
+                        console.error('Error importing receipt:', err);
+                    }
+                    line.status = 'failed';
+                    line.errors.push(err.message);
+                }
+            }
+
+            const failed = report.filter(line => line.status === 'failed').length;
+            const pending = report.filter(line => line.status === 'pending').length;
+            return res.status(200).json({
+                message: failed > 0 ? 'Import completed with failures' : 'Import completed successfully',
+                dryRun: false,
+                summary: { ...summary, applied: report.length - failed - pending, pending, failed },
+                rows: report
+            });
+        });
+    } catch (err) {
+        console.error('Error importing inventory:', err);
+        return res.status(500).json({ error: 'Failed to import inventory' });
+    } finally {
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+    }
+};
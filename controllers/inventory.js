@@ -1,297 +1,236 @@
-const { google } = require('googleapis');
-const fs = require('fs');
-const path = require('path');
-
-const drive = new google.drive({
-    version: 'v3',
-    auth: new google.auth.GoogleAuth({
-        keyFile: process.env.GS_CRED,
-        scopes: ['https://www.googleapis.com/auth/drive.file']
-    })
-});
-
-// Utility function to convert column index to letter (supports multiple letters)
-function getColumnLetter(colIndex) {
-    let letter = '';
-    while (colIndex >= 0) {
-        letter = String.fromCharCode((colIndex % 26) + 65) + letter;
-        colIndex = Math.floor(colIndex / 26) - 1;
-    }
-    return letter;
-}
+const crypto = require('crypto');
+const { formatTimestamp } = require('../utils/timestamp');
+const loans = require('../services/loans');
+const reorder = require('../services/reorder');
+const itemCodes = require('../services/itemCodes');
+const images = require('../services/images');
+const search = require('../services/search');
+const archive = require('../services/archive');
+const writeQueue = require('../services/writeQueue');
+const events = require('../services/events');
+const costLayers = require('../services/costLayers');
+const uom = require('../services/uom');
+const reservations = require('../services/reservations');
+const { withLock, withLocks, itemKey } = require('../utils/lock');
+const { isUnexpected } = require('../utils/errors');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
 
 module.exports.addInventoryWithImage = async function (req, res) {
+    let storedImages = [];
     try {
-        if (!req.file) {
+        if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'No image file uploaded' });
         }
 
-        const folderId = process.env.DRIVE_FOLDER_ID;
-        if (!folderId) {
-            return res.status(500).json({ error: 'Drive folder ID is not configured' });
+        const entry = JSON.parse(req.body.entry);
+        if (!entry.Location || !entry.Description) {
+            return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        const filePath = req.file.path;
-
-        const fileMetadata = {
-            name: req.file.originalname,
-            parents: [folderId]
-        };
+        // An optional unit cost opens the first cost layer of the new row
+        const unitCost = costLayers.parseUnitCost(req.body.unitCost);
+        if (Number.isNaN(unitCost)) {
+            return res.status(400).json({ error: 'Invalid unit cost' });
+        }
 
-        const media = {
-            mimeType: req.file.mimetype,
-            body: fs.createReadStream(filePath)
+        // Item Code is optional; without one the category's numbering scheme assigns it
+        const codeRequest = {
+            itemCode: entry['Item Code'],
+            category: entry.Category,
+            description: entry.Description,
+            location: entry.Location
         };
 
-        const imageResponse = await drive.files.create({
-            resource: fileMetadata,
-            media,
-            fields: 'id, name, webViewLink, webContentLink'
-        });
-
-        fs.unlinkSync(filePath);
+        // Reject a bad manual code before storing the images; it is checked
+        // again under the lock when the row is written
+        if (codeRequest.itemCode) {
+            const codeError = itemCodes.checkCode(await req.storage.listInventory(), codeRequest.itemCode, codeRequest);
+            if (codeError) {
+                return res.status(codeError.status).json({ error: codeError.message });
+            }
+        }
 
-        const imageLink = imageResponse.data.webViewLink;
+        for (const file of req.files) {
+            storedImages.push(await images.storeImage(req.imageStore, file));
+        }
 
-        const entry = JSON.parse(req.body.entry);
+        const imageLink = storedImages[0]['Image Link'];
         const currentDate = new Date().toISOString().split('T')[0];
 
-        const values = [[
-            entry.Location,
-            entry['Item Code'],
-            entry.Description,
-            entry.UOM,
-            entry.Qty,
-            entry.Condition,
-            entry['Returnable Item'],
-            entry.Category,
-            currentDate,
-            imageLink
-        ]];
-
-        await req.sheetsClient.spreadsheets.values.append({
-            spreadsheetId: req.sheetId,
-            range: 'Inventory!A:J',
-            valueInputOption: 'USER_ENTERED',
-            insertDataOption: 'INSERT_ROWS',
-            resource: { values }
-        });
+        const item = await itemCodes.withItemCode(req.storage, codeRequest, code => req.storage.appendItem({
+            ...entry,
+            'Item Code': code,
+            'Date Counted': currentDate,
+            'Image Link': imageLink
+        }));
+
+        // The row now links the first image, so a failure past this point keeps the files
+        const uploaded = storedImages;
+        storedImages = [];
+        const records = [];
+        for (const image of uploaded) {
+            records.push(await images.appendItemImage(req.storage, item, image, req.user.username));
+        }
+        const qty = parseFloat(item.Qty) || 0;
+        const costLayer = unitCost !== null && qty > 0 ? costLayers.newLayer(item, qty, unitCost, 'add') : null;
+        if (costLayer) {
+            await req.storage.appendRecord(costLayers.COST_LAYERS_TABLE, costLayer);
+        }
+        events.publish(events.added(item, req.user.username));
 
         return res.status(201).json({
             message: 'Inventory entry and image uploaded successfully',
             data: {
                 ...entry,
+                'Item Code': item['Item Code'],
                 'Date Counted': currentDate,
-                Image: imageLink
-            }
+                'Image Link': imageLink
+            },
+            images: records.map(images.toImageView),
+            costLayer
         });
     } catch (err) {
         console.error('Error:', err);
+        await images.discardStoredImages(req.imageStore, storedImages);
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
         return res.status(500).json({ error: 'Failed to add inventory entry and upload image' });
     }
 };
 
+module.exports.previewItemCode = async function (req, res) {
+    try {
+        const itemCode = await itemCodes.previewCode(req.storage, req.query.category);
+        return res.status(200).json({ itemCode, category: req.query.category || null });
+    } catch (err) {
+        console.error('Error previewing item code:', err);
+        return res.status(500).json({ error: 'Failed to preview item code' });
+    }
+};
+
 module.exports.searchInventory = async function (req, res) {
     try {
-        const { keyword } = req.query;
-        if (!keyword) {
-            return res.status(400).json({ error: 'Please provide a keyword to search' });
+        const criteria = search.parseSearchQuery(req.query);
+        if (criteria.error) {
+            return res.status(400).json({ error: criteria.error });
         }
 
-        const response = await req.sheetsClient.spreadsheets.values.get({
-            spreadsheetId: req.sheetId,
-            range: 'Inventory!A:J'
-        });
-
-        const rows = response.data.values;
-        if (!rows || rows.length === 0) {
-            return res.status(404).json({ error: 'No inventory data found' });
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        if (page < 1 || limit < 1) {
+            return res.status(400).json({ error: 'Page and limit must be positive numbers' });
         }
 
-        const headers = rows[0];
-        const dataRows = rows.slice(1);
-
-        const filtered = dataRows.filter(row => {
-            return row.some(field => 
-                field && field.toString().toLowerCase().includes(keyword.toLowerCase())
-            );
-        });
+        // Results show Available, on hand less reserved, next to Qty
+        const items = await reservations.annotateAvailable(
+            req.storage,
+            await archive.annotateArchived(req.storage, await req.storage.listInventory())
+        );
+        const results = search.applySearch(items, criteria);
 
-        const formattedResults = filtered.map(entry => {
-            const obj = {};
-            headers.forEach((header, i) => {
-                obj[header] = entry[i] || '';
-            });
-            return obj;
+        return res.status(200).json({
+            results: results.slice((page - 1) * limit, page * limit),
+            page,
+            limit,
+            total: results.length
         });
-
-        return res.status(200).json({ results: formattedResults });
     } catch (err) {
         console.error('Error searching inventory:', err);
         return res.status(500).json({ error: 'Failed to search inventory' });
     }
 };
 
-async function findFirstBlankRowAtoJ(sheetsClient, spreadsheetId) {
-    // Fetch all data in columns A:J of 'Form Responses'
-    const response = await sheetsClient.spreadsheets.values.get({
-        spreadsheetId,
-        range: 'Form Responses!A:J',
-    });
-
-    const rows = response.data.values || [];
-    // Assuming row 1 has headers
-    for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
-        // Check if all cells in A:J are blank
-        const isBlank = row.slice(0, 10).every(cell => !cell || cell.toString().trim() === '');
-        if (isBlank) {
-            return i + 1; // Sheets are 1-indexed
-        }
-    }
-
-    // If no blank row is found within existing data, append to the next row
-    return rows.length + 1;
-}
-
 module.exports.issueInventory = async function (req, res) {
     try {
         const {
             itemCode,
             issuanceQty,
-            issuedBy,
             activity,
+            uom: unit,
             notes,
-            location
+            location,
+            dueDate,
+            borrower,
+            reservationId
         } = req.body;
 
-        // Validate required fields
-        if (!itemCode || !issuanceQty || !issuedBy || !activity || !location) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
-
-        // Fetch all inventory data
-        const inventoryResponse = await req.sheetsClient.spreadsheets.values.get({
-            spreadsheetId: req.sheetId,
-            range: 'Inventory!A:J'
-        });
-
-        const rows = inventoryResponse.data.values;
-        if (!rows || rows.length < 2) { // Assuming row 1 has headers
-            return res.status(404).json({ error: 'No inventory data found' });
-        }
-
-        const headers = rows[0];
-        const dataRows = rows.slice(1);
-
-        // Identify column indices
-        const colLocation = headers.indexOf('Location');
-        const colItemCode = headers.indexOf('Item Code');
-        const colDescription = headers.indexOf('Description');
-        const colQty = headers.indexOf('Qty');
-        const colReturnable = headers.indexOf('Returnable Item');
-        const colImageLink = headers.indexOf('Image Link');
-
-        if (
-            colLocation === -1 || colItemCode === -1 ||
-            colDescription === -1 || colQty === -1 ||
-            colReturnable === -1 || colImageLink === -1
-        ) {
-            return res.status(500).json({ error: 'Inventory sheet headers missing required columns' });
-        }
+        // The issuer is the signed-in user, never a value from the request body
+        const issuedBy = req.user.username;
 
-        let targetRowIndex = -1;
-        let currentQty = 0;
-        let description = '';
-        let returnableItem = '';
-        let imageLink = '';
-
-        // Locate the inventory item
-        for (let i = 0; i < dataRows.length; i++) {
-            const row = dataRows[i];
-            if (row[colItemCode] === itemCode && row[colLocation] === location) {
-                currentQty = parseFloat(row[colQty]) || 0;
-                description = row[colDescription] || '';
-                returnableItem = row[colReturnable] || '';
-                imageLink = row[colImageLink] || '';
-                targetRowIndex = i + 2; // +2 because dataRows starts from row 2 (1-indexed)
-                break;
-            }
+        // Validate required fields; an issuance against a reservation may
+        // take the reservation's activity
+        if (!itemCode || !issuanceQty || (!activity && !reservationId) || !location) {
+            return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        if (targetRowIndex === -1) {
-            return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+        if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+            return res.status(400).json({ error: 'Due date must be in YYYY-MM-DD format' });
         }
 
-        const requestQty = parseFloat(issuanceQty);
-        if (isNaN(requestQty) || requestQty <= 0) {
+        const enteredQty = parseFloat(issuanceQty);
+        if (isNaN(enteredQty) || enteredQty <= 0) {
             return res.status(400).json({ error: 'Invalid issuance quantity' });
         }
 
-        if (currentQty < requestQty) {
-            return res.status(400).json({ error: 'Not enough quantity in inventory to fulfill issuance' });
-        }
-
-        const newQty = currentQty - requestQty;
-
-        // Construct the timestamp in the desired format: YYYY-MM-DD, HH:MM:SS AM/PM
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
+        // Requests for the same item and location run one at a time
+        return await withLock(itemKey(itemCode, location), async () => {
+            // Locate the inventory item
+            const item = await req.storage.findItem(itemCode, location);
+            if (!item) {
+                return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+            }
+            if (await archive.isArchived(req.storage, item)) {
+                return res.status(409).json({ error: 'Item is archived' });
+            }
 
-        let hours = now.getHours();
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
+            // A quantity entered in another unit is converted to the item's own
+            const { baseQty: requestQty, uom: enteredUom } = await uom.toBaseQty(req.storage, item, enteredQty, unit);
 
-        const ampm = hours >= 12 ? 'PM' : 'AM';
-        hours = hours % 12;
-        hours = hours || 12; // if hours is 0, set it to 12
+            const currentQty = parseFloat(item.Qty) || 0;
+            const description = item.Description || '';
+            const returnableItem = item['Returnable Item'] || '';
+            const imageLink = item['Image Link'] || '';
 
-        const timestamp = `${year}-${month}-${day}, ${hours}:${minutes}:${seconds} ${ampm}`;
+            if (currentQty < requestQty) {
+                return res.status(400).json({ error: 'Not enough quantity in inventory to fulfill issuance' });
+            }
 
-        const formValues = [[
-            timestamp,
-            itemCode,
-            requestQty,
-            location,
-            description,
-            returnableItem,
-            issuedBy,
-            activity,
-            notes || '',
-            imageLink
-        ]];
-
-        // Find the first blank row in 'Form Responses!A:J'
-        const blankRow = await findFirstBlankRowAtoJ(req.sheetsClient, req.sheetId);
-        console.log(`Blank Row Found in Form Responses: ${blankRow}`);
-
-        // Determine the range to update in 'Form Responses!A:J'
-        const updateRange = `Form Responses!A${blankRow}:J${blankRow}`;
-
-        // Update the identified row with formValues
-        await req.sheetsClient.spreadsheets.values.update({
-            spreadsheetId: req.sheetId,
-            range: updateRange,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: formValues }
-        });
+            // Stock reserved for other activities can't be issued; an issuance
+            // against a reservation may use what that one holds
+            const now = new Date();
+            const allReservations = await reservations.listReservations(req.storage);
+            let reservation = null;
+            if (reservationId) {
+                reservation = allReservations.find(candidate => candidate['Reservation ID'] === reservationId);
+                if (!reservation || reservation['Item Code'] !== itemCode || reservation.Location !== location) {
+                    return res.status(404).json({ error: 'Reservation not found for this item and location' });
+                }
+                if (!reservations.isActive(reservation, now)) {
+                    return res.status(409).json({ error: `Reservation is ${reservations.statusOf(reservation, now).toLowerCase()}` });
+                }
+            }
+            const reservedQty = reservations.reservedQty(allReservations, itemCode, location, now, reservationId);
+            if (currentQty - reservedQty < requestQty) {
+                return res.status(400).json({
+                    error: 'Not enough unreserved quantity in inventory to fulfill issuance',
+                    available: Math.max(currentQty - reservedQty, 0)
+                });
+            }
 
-        // Update the inventory quantity in 'Inventory' tab
-        const qtyColumnLetter = getColumnLetter(colQty);
-        const inventoryUpdateRange = `Inventory!${qtyColumnLetter}${targetRowIndex}`;
+            const newQty = currentQty - requestQty;
+            const timestamp = formatTimestamp(new Date());
 
-        await req.sheetsClient.spreadsheets.values.update({
-            spreadsheetId: req.sheetId,
-            range: inventoryUpdateRange,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: [[newQty]] }
-        });
+            // Cost of the issued stock, FIFO over the item's cost layers. What
+            // it takes from them is recorded for a reversal to put back.
+            const itemLayers = costLayers.layersOf(await costLayers.listLayers(req.storage), itemCode, location);
+            const cost = costLayers.consume(itemLayers, currentQty, requestQty);
+            const consumptionId = cost.consumed.length > 0 ? crypto.randomUUID() : '';
 
-        return res.status(200).json({
-            message: 'Inventory issued successfully',
-            data: {
+            const record = {
+                'Entry ID': crypto.randomUUID(),
                 Timestamp: timestamp,
                 'Item Code': itemCode,
                 'Issuance Qty': requestQty,
@@ -299,13 +238,83 @@ module.exports.issueInventory = async function (req, res) {
                 Description: description,
                 'Returnable Item': returnableItem,
                 'Issued by': issuedBy,
-                Activity: activity,
+                Activity: activity || reservation.Activity,
                 'Notes/Comments': notes || '',
-                'Image Link': imageLink
+                'Image Link': imageLink,
+                // Left blank when none of the issued stock has a cost
+                'Cost of Goods Issued': cost.costedQty > 0 ? cost.cost : '',
+                'Entered Qty': enteredQty,
+                'Entered UOM': enteredUom,
+                'Reservation ID': reservation ? reservationId : '',
+                'Cost Consumption ID': consumptionId
+            };
+            const updatedReservation = reservation ? reservations.issuedReservation(reservation, requestQty) : null;
+
+            // Returnable items stay on loan to the borrower until they come
+            // back; without one named, the issuer takes them
+            const loan = loans.isReturnable(returnableItem)
+                ? loans.newLoan(record, String(borrower || '').trim() || issuedBy, dueDate)
+                : null;
+
+            // The Qty write goes first so a conflicting change is rejected
+            // before anything reaches the ledger
+            const steps = [
+                { op: 'updateQty', item, qty: newQty },
+                { op: 'appendIssuance', record }
+            ];
+            if (loan) {
+                steps.push({ op: 'appendRecord', table: loans.LOANS_TABLE, record: loan, key: ['Loan ID'] });
+            }
+            cost.updates.forEach(layer => {
+                steps.push({ op: 'updateRecord', table: costLayers.COST_LAYERS_TABLE, record: layer });
+            });
+            costLayers.consumptionRecords(consumptionId, cost.consumed).forEach(consumption => {
+                steps.push({
+                    op: 'appendRecord',
+                    table: costLayers.CONSUMPTION_TABLE,
+                    record: consumption,
+                    key: ['Consumption ID', 'Layer ID']
+                });
+            });
+            if (updatedReservation) {
+                steps.push({ op: 'updateRecord', table: reservations.RESERVATIONS_TABLE, record: updatedReservation });
             }
+            const job = await writeQueue.submit(req.storage, {
+                type: 'issuance',
+                lockKeys: [itemKey(itemCode, location)],
+                steps,
+                event: events.movement('issue', item, newQty, req.user.username, record)
+            });
+
+            // Flag the item when this issuance takes it down to its reorder point
+            let reorderAlert = null;
+            const point = await reorder.findReorderPoint(req.storage, itemCode, location);
+            if (point && currentQty > point['Reorder Point'] && newQty <= point['Reorder Point']) {
+                reorderAlert = {
+                    Qty: newQty,
+                    'Reorder Point': point['Reorder Point'],
+                    'Suggested Order Qty': reorder.suggestedOrderQty(point, newQty)
+                };
+            }
+
+            return res.status(writeQueue.statusCode(job)).json({
+                message: writeQueue.isCommitted(job) ? 'Inventory issued successfully' : writeQueue.PENDING_MESSAGE,
+                data: record,
+                cost: { costedQty: cost.costedQty, uncostedQty: cost.uncostedQty },
+                loan,
+                reservation: updatedReservation ? reservations.toReservationView(updatedReservation, now) : null,
+                reorder: reorderAlert,
+                transaction: { id: job.id, status: job.status }
+            });
         });
     } catch (err) {
-        console.error('Error issuing inventory:', err);
+        // Bad requests, such as a unit with no conversion, aren't errors here
+        if (isUnexpected(err)) {
+            console.error('Error issuing inventory:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
         return res.status(500).json({ error: 'Failed to issue inventory' });
     }
 };
@@ -315,161 +324,57 @@ module.exports.receiveInventory = async function (req, res) {
         const {
             itemCode,
             receiptQty,
-            receivedBy,
+            uom: unit,
+            unitCost,
             notes,
             location
         } = req.body;
+        const receivedBy = req.user.username;
 
         // Validate required fields
-        if (!itemCode || !receiptQty || !receivedBy || !location) {
+        if (!itemCode || !receiptQty || !location) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        // Fetch all inventory data
-        const inventoryResponse = await req.sheetsClient.spreadsheets.values.get({
-            spreadsheetId: req.sheetId,
-            range: 'Inventory!A:J'
-        });
-
-        const rows = inventoryResponse.data.values;
-        if (!rows || rows.length < 2) {
-            return res.status(404).json({ error: 'No inventory data found' });
-        }
-
-        const headers = rows[0];
-        const dataRows = rows.slice(1);
-
-        // Identify column indices
-        const colLocation = headers.indexOf('Location');
-        const colItemCode = headers.indexOf('Item Code');
-        const colDescription = headers.indexOf('Description');
-        const colQty = headers.indexOf('Qty');
-        const colReturnable = headers.indexOf('Returnable Item');
-        const colImageLink = headers.indexOf('Image Link');
-
-        // Check if all required columns are present
-        if (
-            colLocation === -1 || colItemCode === -1 ||
-            colDescription === -1 || colQty === -1 ||
-            colReturnable === -1 || colImageLink === -1
-        ) {
-            return res.status(500).json({ error: 'Inventory sheet headers missing required columns' });
-        }
-
-        // Find the target inventory row based on Item Code and Location
-        let targetRowIndex = -1;
-        let currentQty = 0;
-        let description = '';
-        let returnableItem = '';
-        let imageLink = '';
-
-        for (let i = 0; i < dataRows.length; i++) {
-            const row = dataRows[i];
-            if (row[colItemCode] === itemCode && row[colLocation] === location) {
-                currentQty = parseFloat(row[colQty]) || 0;
-                description = row[colDescription] || '';
-                returnableItem = row[colReturnable] || '';
-                imageLink = row[colImageLink] || '';
-                targetRowIndex = i + 1; // +1 because dataRows starts from row 2
-                break;
-            }
-        }
-
-        if (targetRowIndex === -1) {
-            return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
-        }
-
         // Validate receipt quantity
-        const requestQty = parseFloat(receiptQty);
-        if (isNaN(requestQty) || requestQty <= 0) {
+        const enteredQty = parseFloat(receiptQty);
+        if (isNaN(enteredQty) || enteredQty <= 0) {
             return res.status(400).json({ error: 'Invalid receipt quantity' });
         }
 
-        const newQty = currentQty + requestQty;
-
-        // Construct the timestamp in the desired format: YYYY-MM-DD, HH:MM:SS AM/PM
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-
-        let hours = now.getHours();
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-
-        const ampm = hours >= 12 ? 'PM' : 'AM';
-        hours = hours % 12;
-        hours = hours || 12; // if hours is 0, set it to 12
-
-        const timestamp = `${year}-${month}-${day}, ${hours}:${minutes}:${seconds} ${ampm}`;
-
-        // Prepare the data to append to Form Responses, including Image Link
-        const formValues = [
-            [
-                timestamp,        // K: Timestamp
-                itemCode,         // L: Item Code
-                requestQty,       // M: Receipt Qty
-                location,         // N: Location
-                description,      // O: Description
-                returnableItem,   // P: Returnable Item
-                receivedBy,       // Q: Received by
-                notes || '',      // R: Notes/Comments
-                imageLink         // S: Image Link
-            ]
-        ];
-
-        // Fetch existing data in K:S to find the last row with data
-        const receiptRange = 'Form Responses!K3:S';
-        const receiptResponse = await req.sheetsClient.spreadsheets.values.get({
-            spreadsheetId: req.sheetId,
-            range: receiptRange
-        });
-
-        const receiptRows = receiptResponse.data.values || [];
-        console.log('Receipt Rows:', receiptRows);
+        // Stock received with a unit cost, per unit entered, opens a cost layer
+        const enteredCost = costLayers.parseUnitCost(unitCost);
+        if (Number.isNaN(enteredCost)) {
+            return res.status(400).json({ error: 'Invalid unit cost' });
+        }
 
-        // Headers are in K2:S2, data starts from K3:S3
-        let lastRow = 2; // headers are in row 2
-        for (let i = 0; i < receiptRows.length; i++) {
-            const row = receiptRows[i];
-            if (row && row.some(cell => cell.trim() !== '')) {
-                lastRow = i + 3; // +3 because rows are 1-indexed and data starts at row3
+        // Requests for the same item and location run one at a time
+        return await withLock(itemKey(itemCode, location), async () => {
+            // Find the target inventory row based on Item Code and Location
+            const item = await req.storage.findItem(itemCode, location);
+            if (!item) {
+                return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+            }
+            if (await archive.isArchived(req.storage, item)) {
+                return res.status(409).json({ error: 'Item is archived' });
             }
-        }
-        const nextRow = lastRow + 1;
-        console.log(`Last Row with data: ${lastRow}`);
-        console.log(`Next Row to append: ${nextRow}`);
-
-        // Define the range to update
-        const updateRange = `Form Responses!K${nextRow}:S${nextRow}`;
-        console.log(`Update Range: ${updateRange}`);
-
-        // Update the range with formValues
-        const updateResponse = await req.sheetsClient.spreadsheets.values.update({
-            spreadsheetId: req.sheetId,
-            range: updateRange,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: formValues }
-        });
 
-        // Log the update response to verify
-        console.log('Update Response:', updateResponse.data);
+            // A quantity entered in another unit is converted to the item's
+            // own, and so is its unit cost
+            const { baseQty: requestQty, uom: enteredUom, factor } = await uom.toBaseQty(req.storage, item, enteredQty, unit);
+            const cost = enteredCost === null ? null : enteredCost / factor;
 
-        // Update the inventory quantity
-        const qtyColumnLetter = getColumnLetter(colQty);
-        const inventoryUpdateRange = `Inventory!${qtyColumnLetter}${targetRowIndex + 1}`; // Correct row number
+            const currentQty = parseFloat(item.Qty) || 0;
+            const description = item.Description || '';
+            const returnableItem = item['Returnable Item'] || '';
+            const imageLink = item['Image Link'] || '';
 
-        await req.sheetsClient.spreadsheets.values.update({
-            spreadsheetId: req.sheetId,
-            range: inventoryUpdateRange,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: [[newQty]] }
-        });
+            const newQty = currentQty + requestQty;
+            const timestamp = formatTimestamp(new Date());
+            const layer = cost === null ? null : costLayers.newLayer(item, requestQty, cost, 'receipt');
 
-        // Respond with success and receipt details, including Image Link
-        return res.status(200).json({
-            message: 'Inventory received successfully',
-            data: {
+            const record = {
+                'Entry ID': crypto.randomUUID(),
                 Timestamp: timestamp,
                 'Item Code': itemCode,
                 'Receipt Qty': requestQty,
@@ -478,52 +383,51 @@ module.exports.receiveInventory = async function (req, res) {
                 'Returnable Item': returnableItem,
                 'Received by': receivedBy,
                 'Notes/Comments': notes || '',
-                'Image Link': imageLink
+                'Image Link': imageLink,
+                'Unit Cost': cost === null ? '' : cost,
+                'Entered Qty': enteredQty,
+                'Entered UOM': enteredUom,
+                // Names the layer for a reversal to take back out
+                'Cost Layer ID': layer ? layer['Layer ID'] : ''
+            };
+
+            // The Qty write goes first so a conflicting change is rejected
+            // before anything reaches the ledger
+            const steps = [
+                { op: 'updateQty', item, qty: newQty },
+                { op: 'appendReceipt', record }
+            ];
+            if (layer) {
+                steps.push({ op: 'appendRecord', table: costLayers.COST_LAYERS_TABLE, record: layer, key: ['Layer ID'] });
             }
+            const job = await writeQueue.submit(req.storage, {
+                type: 'receipt',
+                lockKeys: [itemKey(itemCode, location)],
+                steps,
+                event: events.movement('receive', item, newQty, req.user.username, record)
+            });
+
+            // Respond with success and receipt details, including Image Link
+            return res.status(writeQueue.statusCode(job)).json({
+                message: writeQueue.isCommitted(job) ? 'Inventory received successfully' : writeQueue.PENDING_MESSAGE,
+                data: record,
+                costLayer: layer,
+                transaction: { id: job.id, status: job.status }
+            });
         });
     } catch (err) {
-        console.error('Error receiving inventory:', err);
+        if (isUnexpected(err)) {
+            console.error('Error receiving inventory:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
         return res.status(500).json({ error: 'Failed to receive inventory' });
     }
 };
 
-async function findFirstBlankRowTtoAA(sheetsClient, spreadsheetId) {
-    try {
-        // Define the range to fetch (starting from row 2 to skip headers)
-        const range = 'Form Responses!T2:AA';
-        const response = await sheetsClient.spreadsheets.values.get({
-            spreadsheetId,
-            range,
-            majorDimension: 'ROWS',
-        });
-
-        const rows = response.data.values || [];
-        console.log(`Total rows fetched in T:AA: ${rows.length}`);
-
-        for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
-            // Ensure the row has at least 8 cells (T:AA)
-            const cells = row.length >= 8 ? row.slice(0, 8) : row.concat(Array(8 - row.length).fill(''));
-            // Check if all cells in T:AA are blank
-            const isBlank = cells.every(cell => !cell || cell.toString().trim() === '');
-            if (isBlank) {
-                const blankRowNumber = i + 2; // Adding 2: 1 for zero-based index and 1 for header row
-                console.log(`First blank row found at T:AA row ${blankRowNumber}`);
-                return blankRowNumber;
-            }
-        }
-
-        // If no blank row is found within existing data, append to the next row
-        const blankRow = rows.length + 2; // Adding 2: 1 for zero-based index and 1 for header row
-        console.log(`No blank row found in existing data. Appending to row ${blankRow}`);
-        return blankRow;
-    } catch (error) {
-        console.error('Error finding first blank row in T:AA:', error);
-        throw new Error('Failed to find the first blank row in T:AA');
-    }
-}
-
 module.exports.addNewItemWithoutCode = async function (req, res) {
+    let storedImage = null;
     try {
         // Extract fields from the request body
         const {
@@ -531,106 +435,201 @@ module.exports.addNewItemWithoutCode = async function (req, res) {
             location,
             description,
             returnableItem,
-            receivedBy,
             notes
         } = req.body;
+        const receivedBy = req.user.username;
 
         // Validate required fields
-        if (!receiptQty || !location || !description || !returnableItem || !receivedBy) {
+        if (!receiptQty || !location || !description || !returnableItem) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
         // Handle image upload if a file is provided
-        let imageLink = '';
         if (req.file) {
-            const folderId = process.env.DRIVE_FOLDER_ID;
-            if (!folderId) {
-                return res.status(500).json({ error: 'Drive folder ID is not configured' });
-            }
+            storedImage = await images.storeImage(req.imageStore, req.file);
+        }
 
-            const filePath = req.file.path;
+        const timestamp = formatTimestamp(new Date());
+
+        const record = {
+            Timestamp: timestamp,
+            'Receipt Qty': receiptQty,
+            Location: location,
+            Description: description,
+            'Returnable Item': returnableItem,
+            'Received by': receivedBy,
+            'Notes/Comments': notes || '',
+            'Image Link': storedImage ? storedImage['Image Link'] : ''
+        };
 
-            const fileMetadata = {
-                name: req.file.originalname,
-                parents: [folderId]
-            };
+        await req.storage.appendNewItem(record);
+        events.publish(events.stockEvent('new-item', {
+            location,
+            description,
+            actor: receivedBy,
+            data: record
+        }));
 
-            const media = {
-                mimeType: req.file.mimetype,
-                body: fs.createReadStream(filePath)
-            };
+        return res.status(201).json({
+            message: 'New inventory item added successfully',
+            data: record
+        });
+    } catch (err) {
+        console.error('Error adding new inventory item:', err);
+        if (storedImage) {
+            await images.discardStoredImages(req.imageStore, [storedImage]);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to add new inventory item' });
+    }
+};
 
-            const imageResponse = await drive.files.create({
-                resource: fileMetadata,
-                media,
-                fields: 'id, name, webViewLink, webContentLink'
-            });
+module.exports.transferInventory = async function (req, res) {
+    try {
+        const {
+            itemCode,
+            transferQty,
+            fromLocation,
+            toLocation,
+            notes
+        } = req.body;
+        const transferredBy = req.user.username;
 
-            // Remove the file from the server after upload
-            fs.unlinkSync(filePath);
+        // Validate required fields
+        if (!itemCode || !transferQty || !fromLocation || !toLocation) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
 
-            imageLink = imageResponse.data.webViewLink;
+        if (fromLocation === toLocation) {
+            return res.status(400).json({ error: 'Source and destination locations must differ' });
         }
 
-        // Construct the timestamp in the desired format: YYYY-MM-DD, HH:MM:SS AM/PM
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-
-        let hours = now.getHours();
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-
-        const ampm = hours >= 12 ? 'PM' : 'AM';
-        hours = hours % 12;
-        hours = hours || 12; // if hours is 0, set it to 12
-
-        const timestamp = `${year}-${month}-${day}, ${hours}:${minutes}:${seconds} ${ampm}`;
-
-        // Prepare the data to insert into Form Responses!T:AA
-        const formValues = [[
-            timestamp,        // T: Timestamp
-            receiptQty,       // U: Receipt Qty
-            location,         // V: Location
-            description,      // W: Description
-            returnableItem,   // X: Returnable Item
-            receivedBy,       // Y: Received by
-            notes || '',      // Z: Notes/Comments
-            imageLink         // AA: Image Link
-        ]];
-
-        // Find the first blank row in 'Form Responses!T:AA'
-        const blankRow = await findFirstBlankRowTtoAA(req.sheetsClient, req.sheetId);
-        console.log(`Blank Row Found in Form Responses!T:AA: ${blankRow}`);
-
-        // Define the range to update in 'Form Responses!T:AA'
-        const updateRange = `Form Responses!T${blankRow}:AA${blankRow}`;
-        console.log(`Update Range: ${updateRange}`);
-
-        // Insert the data into the identified row
-        await req.sheetsClient.spreadsheets.values.update({
-            spreadsheetId: req.sheetId,
-            range: updateRange,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: formValues }
-        });
+        const requestQty = parseFloat(transferQty);
+        if (isNaN(requestQty) || requestQty <= 0) {
+            return res.status(400).json({ error: 'Invalid transfer quantity' });
+        }
 
-        return res.status(201).json({
-            message: 'New inventory item added successfully',
-            data: {
-                Timestamp: timestamp,
-                'Receipt Qty': receiptQty,
-                Location: location,
-                Description: description,
-                'Returnable Item': returnableItem,
-                'Received by': receivedBy,
+        // Both rows stay locked for the whole transfer
+        const keys = [itemKey(itemCode, fromLocation), itemKey(itemCode, toLocation)];
+        return await withLocks(keys, async () => {
+            const source = await req.storage.findItem(itemCode, fromLocation);
+            if (!source) {
+                return res.status(404).json({ error: 'Item not found in inventory for the source location' });
+            }
+            if (await archive.isArchived(req.storage, source)) {
+                return res.status(409).json({ error: 'Item is archived' });
+            }
+
+            const sourceQty = parseFloat(source.Qty) || 0;
+            if (sourceQty < requestQty) {
+                return res.status(400).json({ error: 'Not enough quantity in inventory to fulfill transfer' });
+            }
+
+            // Stock reserved at the source stays there
+            const reservedQty = reservations.reservedQty(
+                await reservations.listReservations(req.storage), itemCode, fromLocation, new Date()
+            );
+            if (sourceQty - reservedQty < requestQty) {
+                return res.status(400).json({
+                    error: 'Not enough unreserved quantity in inventory to fulfill transfer',
+                    available: Math.max(sourceQty - reservedQty, 0)
+                });
+            }
+
+            const destination = await req.storage.findItem(itemCode, toLocation);
+            if (destination && await archive.isArchived(req.storage, destination)) {
+                return res.status(409).json({ error: 'Item is archived at the destination location' });
+            }
+            const destinationQty = destination ? parseFloat(destination.Qty) || 0 : 0;
+
+            // The stock moved takes its cost along: what it takes from the
+            // source's layers opens layers at the same costs at the destination
+            const sourceLayers = costLayers.layersOf(await costLayers.listLayers(req.storage), itemCode, fromLocation);
+            const cost = costLayers.consume(sourceLayers, sourceQty, requestQty);
+            const movedLayers = cost.consumed.map(({ layer, qty }) => costLayers.newLayer(
+                { 'Item Code': itemCode, Location: toLocation },
+                qty,
+                parseFloat(layer['Unit Cost']) || 0,
+                'transfer'
+            ));
+
+            const record = {
+                'Transfer ID': crypto.randomUUID(),
+                Timestamp: formatTimestamp(new Date()),
+                'Item Code': itemCode,
+                'Transfer Qty': requestQty,
+                'From Location': fromLocation,
+                'To Location': toLocation,
+                Description: source.Description || '',
+                'Transferred by': transferredBy,
                 'Notes/Comments': notes || '',
-                'Image Link': imageLink
+                Status: 'Completed'
+            };
+
+            // Both rows change in one queued write, source first, so a crash
+            // partway is finished on restart rather than left half moved, and
+            // a write that fails partway is rolled back and recorded as such
+            const steps = [{ op: 'updateQty', item: source, qty: sourceQty - requestQty }];
+            if (destination) {
+                steps.push({ op: 'updateQty', item: destination, qty: destinationQty + requestQty });
+            } else {
+                steps.push({
+                    op: 'appendItem',
+                    entry: {
+                        Location: toLocation,
+                        'Item Code': itemCode,
+                        Description: source.Description,
+                        UOM: source.UOM,
+                        Qty: requestQty,
+                        Condition: source.Condition,
+                        'Returnable Item': source['Returnable Item'],
+                        Category: source.Category,
+                        'Date Counted': new Date().toISOString().split('T')[0],
+                        'Image Link': source['Image Link']
+                    }
+                });
             }
+            cost.updates.forEach(layer => {
+                steps.push({ op: 'updateRecord', table: costLayers.COST_LAYERS_TABLE, record: layer });
+            });
+            movedLayers.forEach(layer => {
+                steps.push({ op: 'appendRecord', table: costLayers.COST_LAYERS_TABLE, record: layer, key: ['Layer ID'] });
+            });
+            steps.push({ op: 'appendRecord', table: 'Transfers', record, key: ['Transfer ID'] });
+            const job = await writeQueue.submit(req.storage, {
+                type: 'transfer',
+                lockKeys: keys,
+                steps,
+                rollbackSteps: [{
+                    op: 'appendRecord',
+                    table: 'Transfers',
+                    record: { ...record, Status: 'Rolled Back' },
+                    key: ['Transfer ID']
+                }]
+            });
+
+            return res.status(writeQueue.statusCode(job)).json({
+                message: writeQueue.isCommitted(job) ? 'Inventory transferred successfully' : writeQueue.PENDING_MESSAGE,
+                data: {
+                    ...record,
+                    'From Qty': sourceQty - requestQty,
+                    'To Qty': destinationQty + requestQty
+                },
+                transaction: { id: job.id, status: job.status }
+            });
         });
     } catch (err) {
-        console.error('Error adding new inventory item:', err);
-        return res.status(500).json({ error: 'Failed to add new inventory item' });
+        if (isUnexpected(err)) {
+            console.error('Error transferring inventory:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        if (err.rolledBack) {
+            return res.status(500).json({ error: 'Failed to transfer inventory, source quantity restored' });
+        }
+        return res.status(500).json({ error: 'Failed to transfer inventory' });
     }
-};
\ No newline at end of file
+};
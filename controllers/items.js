@@ -0,0 +1,194 @@
+const archive = require('../services/archive');
+const loans = require('../services/loans');
+const costLayers = require('../services/costLayers');
+const reservations = require('../services/reservations');
+const { knownUoms } = require('../services/importer');
+const { withLock, withLocks, itemKey } = require('../utils/lock');
+
+// Body fields PATCH accepts, mapped to Inventory columns. The item itself is
+// picked by the code in the path and ?location=; `location` in the body moves it.
+const EDITABLE_FIELDS = {
+    description: 'Description',
+    uom: 'UOM',
+    condition: 'Condition',
+    category: 'Category',
+    returnableItem: 'Returnable Item',
+    location: 'Location'
+};
+
+// Records keyed by item and location that follow the item when it moves
+const ITEM_TABLES = ['Item Images', 'Reorder Points', costLayers.COST_LAYERS_TABLE, reservations.RESERVATIONS_TABLE];
+
+// Validates a PATCH body against the current inventory. Returns { error } or { changes }.
+function parseChanges(body, items) {
+    const unknown = Object.keys(body).filter(field => !EDITABLE_FIELDS[field]);
+    if (unknown.length > 0) {
+        return { error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+
+    const changes = {};
+    for (const [field, header] of Object.entries(EDITABLE_FIELDS)) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        if (typeof body[field] !== 'string') {
+            return { error: `${field} must be a string` };
+        }
+        changes[header] = body[field].trim();
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: 'No changes given' };
+    }
+    if (changes.Description === '' || changes.Location === '' || changes.UOM === '') {
+        return { error: 'Description, UOM and Location cannot be empty' };
+    }
+    if (changes.UOM && !knownUoms(items).has(changes.UOM.toLowerCase())) {
+        return { error: `Unknown UOM: ${changes.UOM}` };
+    }
+    if (changes['Returnable Item'] !== undefined) {
+        if (!/^(yes|no)$/i.test(changes['Returnable Item'])) {
+            return { error: 'returnableItem must be Yes or No' };
+        }
+        changes['Returnable Item'] = loans.isReturnable(changes['Returnable Item']) ? 'Yes' : 'No';
+    }
+    return { changes };
+}
+
+async function moveItemRecords(storage, item, location) {
+    for (const table of ITEM_TABLES) {
+        const records = await storage.listRecords(table);
+        for (const record of records) {
+            if (record['Item Code'] === item['Item Code'] && record.Location === item.Location) {
+                await storage.updateRecord(table, { ...record, Location: location });
+            }
+        }
+    }
+}
+
+// Loads the item named by the route, answering the request when it can't be found
+async function loadItem(req, res) {
+    const { location } = req.query;
+    if (!location) {
+        res.status(400).json({ error: 'Missing required fields' });
+        return null;
+    }
+
+    const item = await req.storage.findItem(req.params.code, location);
+    if (!item) {
+        res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+        return null;
+    }
+    return item;
+}
+
+function toItemView({ row, ...item }) {
+    return { ...item, Row: row };
+}
+
+module.exports.updateItem = async function (req, res) {
+    try {
+        const { location } = req.query;
+        const items = await req.storage.listInventory();
+        const parsed = parseChanges(req.body, items);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { changes } = parsed;
+        const moving = changes.Location !== undefined && changes.Location !== location;
+        const keys = [itemKey(req.params.code, location)];
+        if (moving) {
+            keys.push(itemKey(req.params.code, changes.Location));
+        }
+
+        return await withLocks(keys, async () => {
+            const item = await loadItem(req, res);
+            if (!item) {
+                return;
+            }
+            if (await archive.isArchived(req.storage, item)) {
+                return res.status(409).json({ error: 'Item is archived' });
+            }
+
+            if (moving) {
+                if (await req.storage.findItem(item['Item Code'], changes.Location)) {
+                    return res.status(409).json({ error: 'Item code already exists at the new location' });
+                }
+                // Returns look the item up by the location it was lent from
+                const openLoans = (await loans.listLoans(req.storage)).filter(loan =>
+                    loan.Status === 'Open' &&
+                    loan['Item Code'] === item['Item Code'] &&
+                    loan.Location === item.Location
+                );
+                if (openLoans.length > 0) {
+                    return res.status(409).json({ error: 'Item has open loans and cannot change location' });
+                }
+            }
+
+            const updated = await req.storage.updateItem(item, changes);
+            if (moving) {
+                await moveItemRecords(req.storage, item, changes.Location);
+            }
+
+            return res.status(200).json({
+                message: 'Inventory item updated successfully',
+                data: toItemView(updated)
+            });
+        });
+    } catch (err) {
+        console.error('Error updating inventory item:', err);
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to update inventory item' });
+    }
+};
+
+module.exports.archiveItem = async function (req, res) {
+    try {
+        return await withLock(itemKey(req.params.code, req.query.location), async () => {
+            const item = await loadItem(req, res);
+            if (!item) {
+                return;
+            }
+            if (await archive.isArchived(req.storage, item)) {
+                return res.status(409).json({ error: 'Item is already archived' });
+            }
+
+            const { row, ...record } = await archive.archiveItem(req.storage, item, req.user.username, req.body.reason);
+            return res.status(200).json({
+                message: 'Inventory item archived',
+                data: record
+            });
+        });
+    } catch (err) {
+        console.error('Error archiving inventory item:', err);
+        return res.status(500).json({ error: 'Failed to archive inventory item' });
+    }
+};
+
+module.exports.unarchiveItem = async function (req, res) {
+    try {
+        return await withLock(itemKey(req.params.code, req.query.location), async () => {
+            const item = await loadItem(req, res);
+            if (!item) {
+                return;
+            }
+
+            const archived = await archive.findArchived(req.storage, item);
+            if (!archived) {
+                return res.status(409).json({ error: 'Item is not archived' });
+            }
+
+            const { row, ...record } = await archive.restoreItem(req.storage, archived, req.user.username);
+            return res.status(200).json({
+                message: 'Inventory item restored',
+                data: record
+            });
+        });
+    } catch (err) {
+        console.error('Error restoring inventory item:', err);
+        return res.status(500).json({ error: 'Failed to restore inventory item' });
+    }
+};
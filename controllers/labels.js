@@ -0,0 +1,94 @@
+const labels = require('../services/labels');
+const search = require('../services/search');
+const archive = require('../services/archive');
+const { formatDate } = require('../utils/timestamp');
+
+const MAX_LABELS = 1000;
+
+// Labels for the items picked by the search filters (plus ?itemCode=), as a
+// PDF sheet or, for a single item, a PNG. ?symbology= is code128 or qr.
+module.exports.printLabels = async function (req, res) {
+    try {
+        const format = (req.query.format || 'pdf').toLowerCase();
+        if (!labels.LABEL_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${labels.LABEL_FORMATS.join(', ')}` });
+        }
+        const symbology = (req.query.symbology || 'code128').toLowerCase();
+        if (!labels.SYMBOLOGIES[symbology]) {
+            return res.status(400).json({ error: `Symbology must be one of: ${Object.keys(labels.SYMBOLOGIES).join(', ')}` });
+        }
+
+        const criteria = search.parseSearchQuery(req.query);
+        if (criteria.error) {
+            return res.status(400).json({ error: criteria.error });
+        }
+
+        const { itemCode } = req.query;
+        const items = search.applySearch(await archive.annotateArchived(req.storage, await req.storage.listInventory()), criteria)
+            .filter(item => !itemCode || item['Item Code'] === itemCode);
+
+        if (items.length === 0) {
+            return res.status(404).json({ error: 'No inventory items match the label request' });
+        }
+        if (items.length > MAX_LABELS) {
+            return res.status(400).json({ error: `At most ${MAX_LABELS} labels can be printed at once, narrow the search` });
+        }
+
+        if (format === 'png') {
+            if (items.length > 1) {
+                return res.status(400).json({ error: 'PNG labels are for a single item, pass itemCode and location' });
+            }
+            const png = await labels.renderLabelPng(items[0], symbology);
+            res.set('Content-Type', 'image/png');
+            res.set('Content-Disposition', `inline; filename="label-${encodeURIComponent(items[0]['Item Code'])}.png"`);
+            return res.status(200).send(png);
+        }
+
+        res.status(200);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="labels-${formatDate(new Date())}.pdf"`);
+        return await labels.writeLabelSheet(res, items, symbology);
+    } catch (err) {
+        console.error('Error printing labels:', err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        return res.status(500).json({ error: 'Failed to print labels' });
+    }
+};
+
+// Looks up the Inventory row a scanned label names. A bare item code needs
+// ?location= unless the code is only stocked at one location.
+module.exports.scanItem = async function (req, res) {
+    try {
+        const scanned = labels.parsePayload(req.params.payload);
+        if (!scanned) {
+            return res.status(400).json({ error: 'Unreadable scan payload' });
+        }
+
+        const location = scanned.location || req.query.location;
+        const matches = (await req.storage.listInventory()).filter(item =>
+            item['Item Code'] === scanned.itemCode && (!location || item.Location === location)
+        );
+
+        if (matches.length === 0) {
+            return res.status(404).json({ error: 'No inventory item matches the scanned label' });
+        }
+        if (matches.length > 1) {
+            return res.status(409).json({
+                error: 'Item code is stocked at several locations, pass location',
+                locations: matches.map(item => item.Location)
+            });
+        }
+
+        const [{ row, ...item }] = await archive.annotateArchived(req.storage, matches);
+        return res.status(200).json({
+            data: { ...item, Row: row },
+            // Body fields issue and receive expect for this row
+            request: { itemCode: item['Item Code'], location: item.Location }
+        });
+    } catch (err) {
+        console.error('Error looking up scanned item:', err);
+        return res.status(500).json({ error: 'Failed to look up scanned item' });
+    }
+};
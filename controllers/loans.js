@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { formatTimestamp, formatDate } = require('../utils/timestamp');
+const loans = require('../services/loans');
+const writeQueue = require('../services/writeQueue');
+const events = require('../services/events');
+const { withLock, itemKey } = require('../utils/lock');
+const { isUnexpected } = require('../utils/errors');
+
+function toLoanView(loan, today) {
+    const { row, ...fields } = loan;
+    return {
+        ...fields,
+        'Outstanding Qty': loans.outstandingQty(loan),
+        Overdue: loans.isOverdue(loan, today)
+    };
+}
+
+// Totals outstanding loans under the given key, e.g. Borrower or Item Code
+function groupLoans(views, key) {
+    const groups = {};
+    views.forEach(view => {
+        const group = groups[view[key]] || (groups[view[key]] = {
+            'Outstanding Qty': 0,
+            'Overdue Qty': 0,
+            loans: []
+        });
+        group['Outstanding Qty'] += view['Outstanding Qty'];
+        if (view.Overdue) {
+            group['Overdue Qty'] += view['Outstanding Qty'];
+        }
+        group.loans.push(view['Loan ID']);
+    });
+    return groups;
+}
+
+module.exports.returnLoan = async function (req, res) {
+    try {
+        const {
+            loanId,
+            returnQty,
+            notes
+        } = req.body;
+
+        if (!loanId) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // Returns of one loan are serialized, then the item row is locked as on issue
+        return await withLock(`loan:${loanId}`, async () => {
+            const loan = await loans.findLoan(req.storage, loanId);
+            if (!loan) {
+                return res.status(404).json({ error: 'Loan not found' });
+            }
+
+            if (loan.Status !== 'Open') {
+                return res.status(400).json({ error: 'Loan is already closed' });
+            }
+
+            // Without a quantity the whole outstanding amount is returned
+            const outstanding = loans.outstandingQty(loan);
+            const requestQty = returnQty === undefined || returnQty === '' ? outstanding : parseFloat(returnQty);
+            if (isNaN(requestQty) || requestQty <= 0) {
+                return res.status(400).json({ error: 'Invalid return quantity' });
+            }
+
+            if (requestQty > outstanding) {
+                return res.status(400).json({ error: 'Return quantity exceeds the outstanding loan quantity' });
+            }
+
+            return await withLock(itemKey(loan['Item Code'], loan.Location), async () => {
+                const item = await req.storage.findItem(loan['Item Code'], loan.Location);
+                if (!item) {
+                    return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+                }
+
+                const record = {
+                    'Entry ID': crypto.randomUUID(),
+                    Timestamp: formatTimestamp(new Date()),
+                    'Item Code': loan['Item Code'],
+                    'Receipt Qty': requestQty,
+                    Location: loan.Location,
+                    Description: item.Description || '',
+                    'Returnable Item': item['Returnable Item'] || '',
+                    'Received by': req.user.username,
+                    'Notes/Comments': `Return of loan ${loanId}${notes ? `: ${notes}` : ''}`,
+                    'Image Link': item['Image Link'] || ''
+                };
+
+                const updated = loans.returnedLoan(loan, requestQty);
+                const newQty = (parseFloat(item.Qty) || 0) + requestQty;
+                const job = await writeQueue.submit(req.storage, {
+                    type: 'return',
+                    lockKeys: [itemKey(loan['Item Code'], loan.Location)],
+                    steps: [
+                        { op: 'updateQty', item, qty: newQty },
+                        { op: 'appendReceipt', record },
+                        { op: 'updateRecord', table: loans.LOANS_TABLE, record: updated }
+                    ],
+                    event: events.movement('receive', item, newQty, req.user.username, record)
+                });
+
+                let message = updated.Status === 'Closed' ? 'Loan returned in full' : 'Loan partially returned';
+                if (!writeQueue.isCommitted(job)) {
+                    message = writeQueue.PENDING_MESSAGE;
+                }
+                return res.status(writeQueue.statusCode(job)).json({
+                    message,
+                    data: record,
+                    loan: toLoanView(updated, formatDate(new Date())),
+                    transaction: { id: job.id, status: job.status }
+                });
+            });
+        });
+    } catch (err) {
+        if (isUnexpected(err)) {
+            console.error('Error returning loan:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to return loan' });
+    }
+};
+
+module.exports.listLoans = async function (req, res) {
+    try {
+        const { status, borrower, itemCode } = req.query;
+
+        if (status && !['open', 'overdue'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be open or overdue' });
+        }
+
+        const today = formatDate(new Date());
+        const views = (await loans.listLoans(req.storage))
+            .filter(loan => loan.Status === 'Open')
+            .map(loan => toLoanView(loan, today))
+            .filter(view => status !== 'overdue' || view.Overdue)
+            .filter(view => !borrower || view.Borrower === borrower)
+            .filter(view => !itemCode || view['Item Code'] === itemCode);
+
+        return res.status(200).json({
+            results: views,
+            byBorrower: groupLoans(views, 'Borrower'),
+            byItem: groupLoans(views, 'Item Code')
+        });
+    } catch (err) {
+        console.error('Error listing loans:', err);
+        return res.status(500).json({ error: 'Failed to list loans' });
+    }
+};
@@ -0,0 +1,209 @@
+const pending = require('../services/pending');
+const itemCodes = require('../services/itemCodes');
+const events = require('../services/events');
+const writeQueue = require('../services/writeQueue');
+const { withLock, itemKey } = require('../utils/lock');
+const { isUnexpected } = require('../utils/errors');
+
+const STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+function submissionId(req) {
+    return parseInt(req.params.id, 10);
+}
+
+// Loads a submission that is still awaiting review, answering the request when it isn't
+async function loadPending(req, res) {
+    const submission = await pending.findSubmission(req.storage, submissionId(req));
+    if (!submission) {
+        res.status(404).json({ error: 'Submission not found' });
+        return null;
+    }
+    if (submission.status !== 'Pending') {
+        res.status(409).json({ error: `Submission was already ${submission.status.toLowerCase()}` });
+        return null;
+    }
+    return submission;
+}
+
+module.exports.listPendingItems = async function (req, res) {
+    try {
+        const status = req.query.status || 'Pending';
+        if (status !== 'all' && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be all or one of: ${STATUSES.join(', ')}` });
+        }
+
+        const submissions = (await pending.listSubmissions(req.storage))
+            .filter(submission => status === 'all' || submission.status === status)
+            .map(pending.toSubmissionView);
+
+        return res.status(200).json({ results: submissions });
+    } catch (err) {
+        console.error('Error listing pending items:', err);
+        return res.status(500).json({ error: 'Failed to list pending items' });
+    }
+};
+
+module.exports.updatePendingItem = async function (req, res) {
+    try {
+        const {
+            receiptQty,
+            location,
+            description,
+            returnableItem,
+            notes
+        } = req.body;
+
+        if (receiptQty !== undefined) {
+            const qty = parseFloat(receiptQty);
+            if (isNaN(qty) || qty <= 0) {
+                return res.status(400).json({ error: 'Invalid receipt quantity' });
+            }
+        }
+
+        if ([location, description, returnableItem].some(value => value !== undefined && !value)) {
+            return res.status(400).json({ error: 'Location, description and returnable item cannot be blank' });
+        }
+
+        return await withLock(`pending:${submissionId(req)}`, async () => {
+            const submission = await loadPending(req, res);
+            if (!submission) {
+                return;
+            }
+
+            const record = { ...submission.record };
+            if (receiptQty !== undefined) record['Receipt Qty'] = parseFloat(receiptQty);
+            if (location !== undefined) record.Location = location;
+            if (description !== undefined) record.Description = description;
+            if (returnableItem !== undefined) record['Returnable Item'] = returnableItem;
+            if (notes !== undefined) record['Notes/Comments'] = notes;
+
+            await req.storage.updateNewItem(record);
+
+            return res.status(200).json({
+                message: 'Submission updated successfully',
+                data: pending.toSubmissionView({ record, review: null, status: 'Pending' })
+            });
+        });
+    } catch (err) {
+        console.error('Error updating pending item:', err);
+        return res.status(500).json({ error: 'Failed to update pending item' });
+    }
+};
+
+module.exports.approvePendingItem = async function (req, res) {
+    try {
+        const {
+            itemCode,
+            uom,
+            category,
+            condition
+        } = req.body;
+
+        // itemCode is optional; without one the category's numbering scheme assigns it
+        if (!uom || !category) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        return await withLock(`pending:${submissionId(req)}`, async () => {
+            const submission = await loadPending(req, res);
+            if (!submission) {
+                return;
+            }
+
+            const { record } = submission;
+            const codeRequest = {
+                itemCode,
+                category,
+                description: record.Description,
+                location: record.Location
+            };
+            // The new row and the review are one queued write, so a submission
+            // is never promoted without being marked approved
+            return await itemCodes.withItemCode(req.storage, codeRequest, code => withLock(itemKey(code, record.Location), async () => {
+                const entry = {
+                    Location: record.Location,
+                    'Item Code': code,
+                    Description: record.Description,
+                    UOM: uom,
+                    Qty: parseFloat(record['Receipt Qty']) || 0,
+                    Condition: condition || '',
+                    'Returnable Item': record['Returnable Item'],
+                    Category: category,
+                    'Date Counted': new Date().toISOString().split('T')[0],
+                    'Image Link': record['Image Link'] || ''
+                };
+                const review = pending.newReview(record, {
+                    status: 'Approved',
+                    itemCode: code,
+                    reviewedBy: req.user.username
+                });
+
+                const job = await writeQueue.submit(req.storage, {
+                    type: 'approval',
+                    lockKeys: [`pending:${submissionId(req)}`, itemKey(code, record.Location)],
+                    steps: [
+                        { op: 'appendItem', entry },
+                        { op: 'appendRecord', table: pending.REVIEWS_TABLE, record: review, key: ['Review ID'] }
+                    ],
+                    event: events.added(entry, req.user.username)
+                });
+
+                return res.status(writeQueue.isCommitted(job) ? 201 : 202).json({
+                    message: writeQueue.isCommitted(job) ? 'Submission approved and added to inventory' : writeQueue.PENDING_MESSAGE,
+                    data: entry,
+                    transaction: { id: job.id, status: job.status }
+                });
+            }));
+        });
+    } catch (err) {
+        if (isUnexpected(err)) {
+            console.error('Error approving pending item:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to approve pending item' });
+    }
+};
+
+module.exports.rejectPendingItem = async function (req, res) {
+    try {
+        const { reason } = req.body;
+        if (!reason) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        return await withLock(`pending:${submissionId(req)}`, async () => {
+            const submission = await loadPending(req, res);
+            if (!submission) {
+                return;
+            }
+
+            // Queued like approvals, so it waits for an approval still pending
+            const review = pending.newReview(submission.record, {
+                status: 'Rejected',
+                reason,
+                reviewedBy: req.user.username
+            });
+            const job = await writeQueue.submit(req.storage, {
+                type: 'rejection',
+                lockKeys: [`pending:${submissionId(req)}`],
+                steps: [{ op: 'appendRecord', table: pending.REVIEWS_TABLE, record: review, key: ['Review ID'] }]
+            });
+
+            return res.status(writeQueue.statusCode(job)).json({
+                message: writeQueue.isCommitted(job) ? 'Submission rejected' : writeQueue.PENDING_MESSAGE,
+                data: pending.toSubmissionView({ record: submission.record, review, status: 'Rejected' }),
+                transaction: { id: job.id, status: job.status }
+            });
+        });
+    } catch (err) {
+        if (isUnexpected(err)) {
+            console.error('Error rejecting pending item:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to reject pending item' });
+    }
+};
@@ -0,0 +1,100 @@
+const reorder = require('../services/reorder');
+const archive = require('../services/archive');
+const { withLock, itemKey } = require('../utils/lock');
+
+module.exports.listReorderPoints = async function (req, res) {
+    try {
+        const { itemCode, location } = req.query;
+        const points = (await reorder.listReorderPoints(req.storage))
+            .filter(point => !itemCode || point['Item Code'] === itemCode)
+            .filter(point => !location || point.Location === location)
+            .map(({ row, ...fields }) => fields);
+
+        return res.status(200).json({ results: points });
+    } catch (err) {
+        console.error('Error listing reorder points:', err);
+        return res.status(500).json({ error: 'Failed to list reorder points' });
+    }
+};
+
+module.exports.setReorderPoint = async function (req, res) {
+    try {
+        const {
+            itemCode,
+            location,
+            reorderPoint,
+            reorderQty
+        } = req.body;
+
+        // Validate required fields
+        if (!itemCode || !location || reorderPoint === undefined || reorderQty === undefined) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const point = parseFloat(reorderPoint);
+        const qty = parseFloat(reorderQty);
+        if (isNaN(point) || point < 0 || isNaN(qty) || qty <= 0) {
+            return res.status(400).json({ error: 'Reorder point must be zero or more and reorder quantity more than zero' });
+        }
+
+        const item = await req.storage.findItem(itemCode, location);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+        }
+
+        const { row, ...data } = await withLock(`reorder:${itemKey(itemCode, location)}`, () =>
+            reorder.saveReorderPoint(req.storage, itemCode, location, point, qty)
+        );
+
+        return res.status(200).json({
+            message: 'Reorder point saved successfully',
+            data
+        });
+    } catch (err) {
+        console.error('Error saving reorder point:', err);
+        return res.status(500).json({ error: 'Failed to save reorder point' });
+    }
+};
+
+module.exports.reorderReport = async function (req, res) {
+    try {
+        const { location, category } = req.query;
+
+        const [inventory, points] = await Promise.all([
+            req.storage.listInventory(),
+            reorder.listReorderPoints(req.storage)
+        ]);
+        const items = await archive.annotateArchived(req.storage, inventory);
+
+        const results = [];
+        points.forEach(point => {
+            const item = items.find(entry =>
+                entry['Item Code'] === point['Item Code'] && entry.Location === point.Location
+            );
+            // Archived items are no longer stocked, so they are never reordered
+            if (!item || item.Archived || (location && item.Location !== location) || (category && item.Category !== category)) {
+                return;
+            }
+
+            const qty = parseFloat(item.Qty) || 0;
+            if (qty <= point['Reorder Point']) {
+                results.push({
+                    'Item Code': item['Item Code'],
+                    Location: item.Location,
+                    Description: item.Description,
+                    UOM: item.UOM,
+                    Category: item.Category,
+                    Qty: qty,
+                    'Reorder Point': point['Reorder Point'],
+                    'Reorder Qty': point['Reorder Qty'],
+                    'Suggested Order Qty': reorder.suggestedOrderQty(point, qty)
+                });
+            }
+        });
+
+        return res.status(200).json({ results });
+    } catch (err) {
+        console.error('Error building reorder report:', err);
+        return res.status(500).json({ error: 'Failed to build reorder report' });
+    }
+};
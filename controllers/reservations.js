@@ -0,0 +1,148 @@
+const reservations = require('../services/reservations');
+const archive = require('../services/archive');
+const uom = require('../services/uom');
+const writeQueue = require('../services/writeQueue');
+const { withLock, itemKey } = require('../utils/lock');
+const { isUnexpected } = require('../utils/errors');
+
+const STATUSES = ['open', 'fulfilled', 'cancelled', 'expired'];
+
+module.exports.createReservation = async function (req, res) {
+    try {
+        const {
+            itemCode,
+            location,
+            reservedQty,
+            uom: unit,
+            activity,
+            expiresAt
+        } = req.body;
+
+        // The requester is the signed-in user, as for issuances
+        const requestedBy = req.user.username;
+
+        // Validate required fields
+        if (!itemCode || !location || !reservedQty || !activity) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const enteredQty = parseFloat(reservedQty);
+        if (isNaN(enteredQty) || enteredQty <= 0) {
+            return res.status(400).json({ error: 'Invalid reservation quantity' });
+        }
+
+        const now = new Date();
+        const expiry = expiresAt ? reservations.parseExpiry(expiresAt) : reservations.defaultExpiry(now);
+        if (!expiry) {
+            return res.status(400).json({ error: 'Expiry must be a YYYY-MM-DD date or an ISO date-time' });
+        }
+        if (expiry <= now) {
+            return res.status(400).json({ error: 'Expiry must be in the future' });
+        }
+
+        // Reservations take the item's lock, so they can't race an issuance
+        return await withLock(itemKey(itemCode, location), async () => {
+            const item = await req.storage.findItem(itemCode, location);
+            if (!item) {
+                return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+            }
+            if (await archive.isArchived(req.storage, item)) {
+                return res.status(409).json({ error: 'Item is archived' });
+            }
+
+            // Reservations are kept in the item's own unit, like Qty
+            const { baseQty: requestQty } = await uom.toBaseQty(req.storage, item, enteredQty, unit);
+
+            const reserved = reservations.reservedQty(await reservations.listReservations(req.storage), itemCode, location, now);
+            const available = (parseFloat(item.Qty) || 0) - reserved;
+            if (available < requestQty) {
+                return res.status(400).json({ error: 'Not enough available quantity to reserve', available: Math.max(available, 0) });
+            }
+
+            const reservation = reservations.newReservation(item, requestQty, activity, requestedBy, expiry);
+            const job = await writeQueue.submit(req.storage, {
+                type: 'reservation',
+                lockKeys: [itemKey(itemCode, location)],
+                steps: [{
+                    op: 'appendRecord',
+                    table: reservations.RESERVATIONS_TABLE,
+                    record: reservation,
+                    key: ['Reservation ID']
+                }]
+            });
+
+            return res.status(writeQueue.isCommitted(job) ? 201 : 202).json({
+                message: writeQueue.isCommitted(job) ? 'Stock reserved successfully' : writeQueue.PENDING_MESSAGE,
+                data: reservations.toReservationView(reservation, now),
+                available: available - requestQty,
+                transaction: { id: job.id, status: job.status }
+            });
+        });
+    } catch (err) {
+        if (isUnexpected(err)) {
+            console.error('Error reserving inventory:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to reserve inventory' });
+    }
+};
+
+module.exports.listReservations = async function (req, res) {
+    try {
+        const { status, itemCode, location, activity } = req.query;
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const now = new Date();
+        const views = (await reservations.listReservations(req.storage))
+            .map(reservation => reservations.toReservationView(reservation, now))
+            .filter(view => !status || view.Status.toLowerCase() === status)
+            .filter(view => !itemCode || view['Item Code'] === itemCode)
+            .filter(view => !location || view.Location === location)
+            .filter(view => !activity || view.Activity === activity);
+
+        return res.status(200).json({ results: views });
+    } catch (err) {
+        console.error('Error listing reservations:', err);
+        return res.status(500).json({ error: 'Failed to list reservations' });
+    }
+};
+
+module.exports.cancelReservation = async function (req, res) {
+    try {
+        const found = await reservations.findReservation(req.storage, req.params.id);
+        if (!found) {
+            return res.status(404).json({ error: 'Reservation not found' });
+        }
+
+        return await withLock(itemKey(found['Item Code'], found.Location), async () => {
+            const now = new Date();
+            const reservation = await reservations.findReservation(req.storage, req.params.id);
+            if (!reservations.isActive(reservation, now)) {
+                return res.status(409).json({ error: `Reservation is ${reservations.statusOf(reservation, now).toLowerCase()}` });
+            }
+
+            const updated = await req.storage.updateRecord(
+                reservations.RESERVATIONS_TABLE,
+                reservations.cancelledReservation(reservation)
+            );
+
+            return res.status(200).json({
+                message: 'Reservation cancelled',
+                data: reservations.toReservationView(updated, now)
+            });
+        });
+    } catch (err) {
+        if (isUnexpected(err)) {
+            console.error('Error cancelling reservation:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to cancel reservation' });
+    }
+};
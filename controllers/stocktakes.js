@@ -0,0 +1,275 @@
+const stocktakes = require('../services/stocktakes');
+const archive = require('../services/archive');
+const writeQueue = require('../services/writeQueue');
+const { withLock, itemKey } = require('../utils/lock');
+const { isUnexpected } = require('../utils/errors');
+
+const STATUSES = ['Open', 'Posted', 'Cancelled'];
+
+function toRecordView(session) {
+    const { row, ...fields } = session;
+    return fields;
+}
+
+// Loads the session named by the route, answering the request when it isn't
+// there or, with `open`, when it can no longer change
+async function loadSession(req, res, { open } = {}) {
+    const session = await stocktakes.findSession(req.storage, req.params.id);
+    if (!session) {
+        res.status(404).json({ error: 'Stocktake not found' });
+        return null;
+    }
+    if (open && session.Status !== 'Open') {
+        res.status(409).json({ error: `Stocktake was already ${session.Status.toLowerCase()}` });
+        return null;
+    }
+    return session;
+}
+
+module.exports.listStocktakes = async function (req, res) {
+    try {
+        const { status, location } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const sessions = (await stocktakes.listSessions(req.storage)).filter(session =>
+            (!status || session.Status === status) &&
+            (!location || session.Location === location)
+        );
+        return res.status(200).json({ results: sessions.map(toRecordView) });
+    } catch (err) {
+        console.error('Error listing stocktakes:', err);
+        return res.status(500).json({ error: 'Failed to list stocktakes' });
+    }
+};
+
+module.exports.openStocktake = async function (req, res) {
+    try {
+        const { location, notes } = req.body;
+        if (!location) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // One open session per location, so counts can't be split between two
+        return await withLock(`stocktake-location:${location}`, async () => {
+            const sessions = await stocktakes.listSessions(req.storage);
+            if (sessions.some(session => session.Location === location && session.Status === 'Open')) {
+                return res.status(409).json({ error: 'A stocktake is already open for this location' });
+            }
+
+            const session = await stocktakes.openSession(req.storage, location, req.user.username, notes);
+            return res.status(201).json({
+                message: 'Stocktake opened successfully',
+                data: toRecordView(session)
+            });
+        });
+    } catch (err) {
+        console.error('Error opening stocktake:', err);
+        return res.status(500).json({ error: 'Failed to open stocktake' });
+    }
+};
+
+module.exports.getStocktake = async function (req, res) {
+    try {
+        const session = await loadSession(req, res);
+        if (!session) {
+            return;
+        }
+
+        const [items, counts] = await Promise.all([
+            req.storage.listInventory().then(all => archive.annotateArchived(req.storage, all)),
+            stocktakes.listCounts(req.storage, session['Session ID'])
+        ]);
+
+        return res.status(200).json({
+            data: toRecordView(session),
+            ...stocktakes.varianceReport(session, items, counts)
+        });
+    } catch (err) {
+        console.error('Error loading stocktake:', err);
+        return res.status(500).json({ error: 'Failed to load stocktake' });
+    }
+};
+
+module.exports.submitCounts = async function (req, res) {
+    try {
+        const { counts, notes } = req.body;
+        if (!Array.isArray(counts) || counts.length === 0) {
+            return res.status(400).json({ error: 'Counts must be a non-empty list' });
+        }
+
+        return await withLock(`stocktake:${req.params.id}`, async () => {
+            const session = await loadSession(req, res, { open: true });
+            if (!session) {
+                return;
+            }
+
+            // Every line is checked before any is stored
+            const items = (await archive.annotateArchived(req.storage, await req.storage.listInventory()))
+                .filter(item => !item.Archived);
+            const errors = [];
+            counts.forEach((count, i) => {
+                const qty = parseFloat(count.countedQty);
+                if (!count.itemCode || isNaN(qty) || qty < 0) {
+                    errors.push({ index: i, error: 'Each count needs an itemCode and a countedQty of zero or more' });
+                } else if (!items.some(item => item['Item Code'] === count.itemCode && item.Location === session.Location)) {
+                    errors.push({ index: i, error: 'Item not found in inventory for the stocktake location' });
+                }
+            });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid counts', errors });
+            }
+
+            const saved = [];
+            for (const count of counts) {
+                const item = items.find(candidate => candidate['Item Code'] === count.itemCode && candidate.Location === session.Location);
+                const record = await stocktakes.appendCount(
+                    req.storage,
+                    session,
+                    count.itemCode,
+                    parseFloat(count.countedQty),
+                    parseFloat(item.Qty) || 0,
+                    req.user.username,
+                    count.notes || notes
+                );
+                saved.push(toRecordView(record));
+            }
+
+            return res.status(201).json({
+                message: 'Counts recorded successfully',
+                data: saved
+            });
+        });
+    } catch (err) {
+        console.error('Error recording stocktake counts:', err);
+        return res.status(500).json({ error: 'Failed to record stocktake counts' });
+    }
+};
+
+module.exports.postStocktake = async function (req, res) {
+    try {
+        return await withLock(`stocktake:${req.params.id}`, async () => {
+            const session = await loadSession(req, res, { open: true });
+            if (!session) {
+                return;
+            }
+
+            const totals = stocktakes.countedQuantities(
+                await stocktakes.listCounts(req.storage, session['Session ID'])
+            );
+            if (totals.size === 0) {
+                return res.status(400).json({ error: 'No counts were recorded for this stocktake' });
+            }
+
+            const adjustedBy = req.user.username;
+            const currentDate = new Date().toISOString().split('T')[0];
+            const adjusted = await stocktakes.adjustedItems(req.storage, session['Session ID']);
+            const results = [];
+
+            // Each item's variance is added to its current Qty as one queued
+            // write. Items adjusted by an earlier attempt are left alone, so
+            // posting again after a partial failure is safe.
+            for (const [itemCode, counted] of totals) {
+                try {
+                    const result = await withLock(itemKey(itemCode, session.Location), async () => {
+                        if (adjusted.has(itemCode)) {
+                            return { 'Item Code': itemCode, status: 'skipped', error: 'Adjustment was already posted' };
+                        }
+                        const item = await req.storage.findItem(itemCode, session.Location);
+                        if (!item) {
+                            throw new Error('Item not found in inventory for the stocktake location');
+                        }
+                        // Archived after it was counted; its stock is left as it is
+                        if (await archive.isArchived(req.storage, item)) {
+                            return { 'Item Code': itemCode, status: 'skipped', error: 'Item is archived' };
+                        }
+
+                        const previousQty = parseFloat(item.Qty) || 0;
+                        const expectedQty = stocktakes.expectedQty(counted, item);
+                        const variance = counted.qty - expectedQty;
+                        const newQty = previousQty + variance;
+                        if (newQty < 0) {
+                            throw new Error('More has been issued since the count than was counted');
+                        }
+
+                        const steps = [];
+                        if (variance !== 0) {
+                            steps.push({ op: 'updateQty', item, qty: newQty });
+                        }
+                        steps.push({ op: 'updateItem', item, fields: { 'Date Counted': currentDate } });
+                        if (variance !== 0) {
+                            steps.push({
+                                op: 'appendRecord',
+                                table: stocktakes.ADJUSTMENTS_TABLE,
+                                record: stocktakes.newAdjustment(session, item, counted, adjustedBy),
+                                key: ['Adjustment ID']
+                            });
+                        }
+                        const job = await writeQueue.submit(req.storage, {
+                            type: 'stocktake',
+                            lockKeys: [itemKey(itemCode, session.Location)],
+                            steps
+                        });
+
+                        return {
+                            'Item Code': itemCode,
+                            'Previous Qty': previousQty,
+                            'Expected Qty': expectedQty,
+                            'Counted Qty': counted.qty,
+                            Variance: variance,
+                            'New Qty': newQty,
+                            status: writeQueue.isCommitted(job) ? 'applied' : 'queued',
+                            transaction: { id: job.id, status: job.status }
+                        };
+                    });
+                    results.push(result);
+                } catch (err) {
+                    if (isUnexpected(err)) {
+                        console.error('Error posting stocktake count:', err);
+                    }
+                    results.push({ 'Item Code': itemCode, status: 'failed', error: err.message });
+                }
+            }
+
+            // A session with failures stays open so it can be posted again
+            const failed = results.filter(result => result.status === 'failed').length;
+            if (failed > 0) {
+                return res.status(500).json({
+                    error: 'Failed to post some stocktake counts, the stocktake is still open',
+                    results
+                });
+            }
+
+            const posted = await stocktakes.closeSession(req.storage, session, 'Posted', adjustedBy);
+            return res.status(200).json({
+                message: 'Stocktake posted successfully',
+                data: toRecordView(posted),
+                results
+            });
+        });
+    } catch (err) {
+        console.error('Error posting stocktake:', err);
+        return res.status(500).json({ error: 'Failed to post stocktake' });
+    }
+};
+
+module.exports.cancelStocktake = async function (req, res) {
+    try {
+        return await withLock(`stocktake:${req.params.id}`, async () => {
+            const session = await loadSession(req, res, { open: true });
+            if (!session) {
+                return;
+            }
+
+            const cancelled = await stocktakes.closeSession(req.storage, session, 'Cancelled', req.user.username);
+            return res.status(200).json({
+                message: 'Stocktake cancelled',
+                data: toRecordView(cancelled)
+            });
+        });
+    } catch (err) {
+        console.error('Error cancelling stocktake:', err);
+        return res.status(500).json({ error: 'Failed to cancel stocktake' });
+    }
+};
@@ -0,0 +1,169 @@
+const ledger = require('../services/ledger');
+const reversals = require('../services/reversals');
+const loans = require('../services/loans');
+const costLayers = require('../services/costLayers');
+const archive = require('../services/archive');
+const writeQueue = require('../services/writeQueue');
+const { withLock, itemKey } = require('../utils/lock');
+const { isUnexpected } = require('../utils/errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+module.exports.listTransactions = async function (req, res) {
+    try {
+        const filters = ledger.parseTransactionFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        if (page < 1 || limit < 1) {
+            return res.status(400).json({ error: 'Page and limit must be positive numbers' });
+        }
+
+        const transactions = (await ledger.listTransactions(req.storage))
+            .filter(transaction => ledger.matchesFilters(transaction, filters));
+
+        return res.status(200).json({
+            results: transactions.slice((page - 1) * limit, page * limit),
+            page,
+            limit,
+            total: transactions.length
+        });
+    } catch (err) {
+        console.error('Error listing transactions:', err);
+        return res.status(500).json({ error: 'Failed to list transactions' });
+    }
+};
+
+// Loan changes that go with a reversal: the loan an issuance opened is voided,
+// and a reversed return is taken off its loan again. Returns { error } or
+// { loan }, where loan is the updated record or null.
+async function reversedLoan(storage, type, record, reversal) {
+    if (type === 'issuance') {
+        const loan = await loans.findIssuanceLoan(storage, record);
+        if (!loan) {
+            return { loan: null };
+        }
+        if ((parseFloat(loan['Returned Qty']) || 0) > 0) {
+            return { error: 'Part of this issuance has been returned, reverse the returns first' };
+        }
+        return { loan: loans.voidedLoan(loan) };
+    }
+
+    const loanId = loans.returnedLoanId(record);
+    const loan = loanId ? await loans.findLoan(storage, loanId) : null;
+    if (!loan || loan.Status === 'Voided') {
+        return { loan: null };
+    }
+    return { loan: loans.returnedLoan(loan, reversal['Reversal Qty']) };
+}
+
+// Cost layers follow the stock: a reversed issuance puts back what it took
+// from the layers, a reversed receipt takes its stock back out of its layer.
+// Returns the layers to write back.
+async function reversedLayers(storage, type, record) {
+    const layers = await costLayers.listLayers(storage);
+    if (type === 'issuance') {
+        const consumptionId = record['Cost Consumption ID'];
+        return consumptionId
+            ? costLayers.restoredLayers(layers, await costLayers.listConsumption(storage, consumptionId))
+            : [];
+    }
+
+    const layer = costLayers.receiptLayer(layers, record);
+    return layer ? [costLayers.shrunkLayer(layer, parseFloat(record['Receipt Qty']) || 0)] : [];
+}
+
+module.exports.reverseTransaction = async function (req, res) {
+    try {
+        const { id } = req.params;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ error: 'A reason is required' });
+        }
+
+        const parsed = reversals.parseTransactionId(id);
+        if (!parsed) {
+            return res.status(400).json({ error: 'Invalid transaction ID' });
+        }
+        if (!reversals.isReversible(parsed.type)) {
+            return res.status(400).json({ error: 'Only issuances and receipts can be reversed' });
+        }
+
+        return await withLock(`transaction:${id}`, async () => {
+            const record = await reversals.findTransaction(req.storage, parsed.type, parsed.row);
+            if (!record) {
+                return res.status(404).json({ error: 'Transaction not found' });
+            }
+            if (await reversals.findReversal(req.storage, id, record)) {
+                return res.status(409).json({ error: 'Transaction has already been reversed' });
+            }
+
+            // Loans are locked before the item, as on returns
+            const loanId = parsed.type === 'issuance'
+                ? ((await loans.findIssuanceLoan(req.storage, record)) || {})['Loan ID']
+                : loans.returnedLoanId(record);
+            const withLoanLock = loanId ? fn => withLock(`loan:${loanId}`, fn) : fn => fn();
+
+            return await withLoanLock(() => withLock(itemKey(record['Item Code'], record.Location), async () => {
+                const item = await req.storage.findItem(record['Item Code'], record.Location);
+                if (!item) {
+                    return res.status(404).json({ error: 'Item not found in inventory for the specified location' });
+                }
+                if (await archive.isArchived(req.storage, item)) {
+                    return res.status(409).json({ error: 'Item is archived' });
+                }
+
+                const reversal = reversals.newReversal(parsed.type, record, req.user.username, reason);
+                const newQty = (parseFloat(item.Qty) || 0) + reversal['Reversal Qty'];
+                if (newQty < 0) {
+                    return res.status(409).json({ error: 'Not enough quantity in inventory to reverse the receipt' });
+                }
+
+                const { error, loan } = await reversedLoan(req.storage, parsed.type, record, reversal);
+                if (error) {
+                    return res.status(409).json({ error });
+                }
+
+                const steps = [
+                    { op: 'updateQty', item, qty: newQty },
+                    { op: 'appendRecord', table: reversals.REVERSALS_TABLE, record: reversal, key: ['Reversal ID'] }
+                ];
+                if (loan) {
+                    steps.push({ op: 'updateRecord', table: loans.LOANS_TABLE, record: loan });
+                }
+                (await reversedLayers(req.storage, parsed.type, record)).forEach(layer => {
+                    steps.push({ op: 'updateRecord', table: costLayers.COST_LAYERS_TABLE, record: layer });
+                });
+                const job = await writeQueue.submit(req.storage, {
+                    type: 'reversal',
+                    lockKeys: [itemKey(record['Item Code'], record.Location), `transaction:${id}`],
+                    steps
+                });
+
+                let loanView = null;
+                if (loan) {
+                    const { row, ...fields } = loan;
+                    loanView = fields;
+                }
+                return res.status(writeQueue.statusCode(job)).json({
+                    message: writeQueue.isCommitted(job) ? 'Transaction reversed' : writeQueue.PENDING_MESSAGE,
+                    data: reversal,
+                    loan: loanView,
+                    transaction: { id: job.id, status: job.status }
+                });
+            }));
+        });
+    } catch (err) {
+        if (isUnexpected(err)) {
+            console.error('Error reversing transaction:', err);
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        return res.status(500).json({ error: 'Failed to reverse transaction' });
+    }
+};
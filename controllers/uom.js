@@ -0,0 +1,56 @@
+const uom = require('../services/uom');
+const { withLock } = require('../utils/lock');
+
+module.exports.listUomConversions = async function (req, res) {
+    try {
+        const { itemCode } = req.query;
+        const conversions = (await uom.listConversions(req.storage))
+            .filter(conversion => !itemCode || conversion['Item Code'] === itemCode)
+            .map(({ row, ...fields }) => fields);
+
+        return res.status(200).json({ results: conversions });
+    } catch (err) {
+        console.error('Error listing UOM conversions:', err);
+        return res.status(500).json({ error: 'Failed to list UOM conversions' });
+    }
+};
+
+module.exports.setUomConversion = async function (req, res) {
+    try {
+        const {
+            itemCode,
+            uom: unit,
+            baseQty
+        } = req.body;
+
+        // Validate required fields
+        if (!itemCode || !unit || baseQty === undefined) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const qty = parseFloat(baseQty);
+        if (isNaN(qty) || qty <= 0) {
+            return res.status(400).json({ error: 'Base quantity must be more than zero' });
+        }
+
+        const items = (await req.storage.listInventory()).filter(item => item['Item Code'] === itemCode);
+        if (items.length === 0) {
+            return res.status(404).json({ error: 'Item not found in inventory' });
+        }
+        if (items.some(item => uom.sameUom(item.UOM, unit))) {
+            return res.status(400).json({ error: `${unit} is the base unit of item ${itemCode}` });
+        }
+
+        const { row, ...data } = await withLock(`uom:${itemCode}`, () =>
+            uom.saveConversion(req.storage, itemCode, String(unit).trim(), qty)
+        );
+
+        return res.status(200).json({
+            message: 'UOM conversion saved successfully',
+            data
+        });
+    } catch (err) {
+        console.error('Error saving UOM conversion:', err);
+        return res.status(500).json({ error: 'Failed to save UOM conversion' });
+    }
+};
@@ -0,0 +1,69 @@
+const costLayers = require('../services/costLayers');
+
+function emptyTotals() {
+    return { Qty: 0, 'Costed Qty': 0, 'Uncosted Qty': 0, Value: 0 };
+}
+
+function addTo(totals, qty, valued) {
+    totals.Qty += qty;
+    totals['Costed Qty'] += valued.costedQty;
+    totals['Uncosted Qty'] += valued.uncostedQty;
+    totals.Value = costLayers.roundMoney(totals.Value + valued.value);
+}
+
+// Adds an item's figures to the group keyed by `key`, creating it on first use
+function addToGroup(groups, key, fields, qty, valued) {
+    if (!groups.has(key)) {
+        groups.set(key, { ...fields, ...emptyTotals() });
+    }
+    addTo(groups.get(key), qty, valued);
+}
+
+// On-hand value from the FIFO cost layers, per location and category with
+// subtotals for each and a grand total. Stock no layer covers is counted in
+// Uncosted Qty and adds nothing to Value.
+module.exports.valuationReport = async function (req, res) {
+    try {
+        const { location, category } = req.query;
+
+        const [items, layers] = await Promise.all([
+            req.storage.listInventory(),
+            costLayers.listLayers(req.storage)
+        ]);
+
+        const groups = new Map();
+        const byLocation = new Map();
+        const byCategory = new Map();
+        const total = emptyTotals();
+
+        items.forEach(item => {
+            if ((location && item.Location !== location) || (category && item.Category !== category)) {
+                return;
+            }
+
+            const qty = Math.max(parseFloat(item.Qty) || 0, 0);
+            const valued = costLayers.valueOnHand(costLayers.layersOf(layers, item['Item Code'], item.Location), qty);
+            const itemCategory = item.Category || '';
+
+            addToGroup(groups, `${item.Location}\u0000${itemCategory}`, { Location: item.Location, Category: itemCategory }, qty, valued);
+            addToGroup(byLocation, item.Location, { Location: item.Location }, qty, valued);
+            addToGroup(byCategory, itemCategory, { Category: itemCategory }, qty, valued);
+            addTo(total, qty, valued);
+        });
+
+        const sorted = map => [...map.values()].sort((a, b) =>
+            String(a.Location || '').localeCompare(String(b.Location || '')) ||
+            String(a.Category || '').localeCompare(String(b.Category || ''))
+        );
+
+        return res.status(200).json({
+            results: sorted(groups),
+            byLocation: sorted(byLocation),
+            byCategory: sorted(byCategory),
+            total
+        });
+    } catch (err) {
+        console.error('Error building valuation report:', err);
+        return res.status(500).json({ error: 'Failed to build valuation report' });
+    }
+};
@@ -0,0 +1,84 @@
+const webhooks = require('../services/webhooks');
+
+const STATUSES = ['pending', 'delivered', 'failed'];
+
+module.exports.listDeliveries = async function (req, res) {
+    try {
+        const { status, eventId } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const deliveries = (await webhooks.listDeliveries())
+            .filter(delivery => !status || delivery.status === status)
+            .filter(delivery => !eventId || delivery.eventId === eventId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return res.status(200).json({
+            enabled: webhooks.isEnabled(),
+            results: deliveries.map(delivery => webhooks.toDeliveryView(delivery))
+        });
+    } catch (err) {
+        console.error('Error listing webhook deliveries:', err);
+        return res.status(500).json({ error: 'Failed to list webhook deliveries' });
+    }
+};
+
+module.exports.getDelivery = async function (req, res) {
+    try {
+        const delivery = await webhooks.findDelivery(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        return res.status(200).json(webhooks.toDeliveryView(delivery, true));
+    } catch (err) {
+        console.error('Error reading webhook delivery:', err);
+        return res.status(500).json({ error: 'Failed to read webhook delivery' });
+    }
+};
+
+module.exports.replayDelivery = async function (req, res) {
+    try {
+        if (!webhooks.isEnabled()) {
+            return res.status(409).json({ error: 'Webhooks are not configured' });
+        }
+
+        const delivery = await webhooks.findDelivery(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        if (delivery.status === 'pending') {
+            return res.status(409).json({ error: 'Delivery is still being retried' });
+        }
+
+        const replayed = await webhooks.replay(delivery);
+        return res.status(202).json({
+            message: 'Delivery queued for replay',
+            data: webhooks.toDeliveryView(replayed)
+        });
+    } catch (err) {
+        console.error('Error replaying webhook delivery:', err);
+        return res.status(500).json({ error: 'Failed to replay webhook delivery' });
+    }
+};
+
+// Replays every failed delivery not replayed before, e.g. once a receiver is back up
+module.exports.replayFailed = async function (req, res) {
+    try {
+        if (!webhooks.isEnabled()) {
+            return res.status(409).json({ error: 'Webhooks are not configured' });
+        }
+
+        const failed = await webhooks.listUnreplayedFailures();
+        const replayed = [];
+        for (const delivery of failed) {
+            replayed.push(await webhooks.replay(delivery));
+        }
+        return res.status(202).json({
+            message: `${replayed.length} deliveries queued for replay`,
+            results: replayed.map(delivery => webhooks.toDeliveryView(delivery))
+        });
+    } catch (err) {
+        console.error('Error replaying webhook deliveries:', err);
+        return res.status(500).json({ error: 'Failed to replay webhook deliveries' });
+    }
+};
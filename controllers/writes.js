@@ -0,0 +1,31 @@
+const writeQueue = require('../services/writeQueue');
+
+const STATUSES = ['pending', 'committed', 'rolling-back', 'rolled-back', 'failed'];
+
+module.exports.getWrite = async function (req, res) {
+    try {
+        const job = await writeQueue.findJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Write not found' });
+        }
+        return res.status(200).json(writeQueue.toJobView(job));
+    } catch (err) {
+        console.error('Error reading write status:', err);
+        return res.status(500).json({ error: 'Failed to read write status' });
+    }
+};
+
+module.exports.listWrites = async function (req, res) {
+    try {
+        const { status } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const jobs = (await writeQueue.listJobs()).filter(job => !status || job.status === status);
+        return res.status(200).json({ writes: jobs.map(writeQueue.toJobView) });
+    } catch (err) {
+        console.error('Error listing writes:', err);
+        return res.status(500).json({ error: 'Failed to list writes' });
+    }
+};
@@ -1,8 +1,12 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { google } = require('googleapis');
 
+const { initStorage, initImageStore } = require('./storage');
+const users = require('./services/users');
+const writeQueue = require('./services/writeQueue');
+const webhooks = require('./services/webhooks');
+const authRoutes = require('./routes/auth');
 const inventoryRoutes = require('./routes/inventory');
 
 const app = express();
@@ -18,32 +22,41 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-const { GS_CRED, SH_ID } = process.env;
+users.ensureAdmin().catch(err => {
+    console.error('Failed to create initial admin user:', err.message);
+});
 
-let sheetsClient;
-async function initGoogleSheets() {
-    try {
-        const auth = new google.auth.GoogleAuth({
-            keyFile: GS_CRED,
-            scopes: ['https://www.googleapis.com/auth/spreadsheets']
-        });
+webhooks.start().catch(err => {
+    console.error('Failed to start webhook deliveries:', err.message);
+});
 
-        const authClient = await auth.getClient();
-        sheetsClient = google.sheets({ version: 'v4', auth: authClient });
+// Accounts live in their own local store, so logging in works without storage
+app.use('/auth', authRoutes);
 
-        console.log('Connected to Google Sheets successfully');
-    } catch (err) {
-        console.error('Failed to connect to Google Sheets:', err.message);
-    }
+const imageStore = initImageStore();
+if (imageStore.dir) {
+    app.use('/images', express.static(imageStore.dir));
 }
-initGoogleSheets();
+
+let storage;
+initStorage()
+    .then(instance => {
+        storage = instance;
+        console.log(`Storage backend ready: ${storage.name}`);
+        return writeQueue.resumePending(storage).catch(err => {
+            console.error('Failed to resume pending writes:', err.message);
+        });
+    })
+    .catch(err => {
+        console.error('Failed to initialize storage backend:', err.message);
+    });
 
 app.use((req, res, next) => {
-    if (!sheetsClient) {
-        return res.status(500).json({ error: 'Google Sheets not initialized' });
+    if (!storage) {
+        return res.status(500).json({ error: 'Storage backend not initialized' });
     }
-    req.sheetsClient = sheetsClient;
-    req.sheetId = SH_ID;
+    req.storage = storage;
+    req.imageStore = imageStore;
     next();
 });
 
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const users = require('../services/users');
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+const STREAM_TOKEN_TTL = process.env.STREAM_TOKEN_TTL || '60s';
+const STREAM_AUDIENCE = 'events';
+
+// Without AUTH_SECRET tokens are signed with a per-process key and stop
+// working when the server restarts
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+    console.warn('AUTH_SECRET is not set, issued tokens will not survive a restart');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+function issueToken(user) {
+    return jwt.sign({ sub: user.username, role: user.role }, secret, { expiresIn: TOKEN_TTL });
+}
+
+// Stream tokens only open the event stream. They go in a URL, where they may
+// end up in logs, so they expire quickly; they are checked when the stream
+// opens, not for as long as it stays open.
+function issueStreamToken(user) {
+    return jwt.sign({ sub: user.username, role: user.role }, secret, {
+        expiresIn: STREAM_TOKEN_TTL,
+        audience: STREAM_AUDIENCE
+    });
+}
+
+// Resolves a verified token to the current user record, so role changes and
+// disabled accounts take effect without waiting for the token to expire
+async function signIn(req, res, next, payload) {
+    try {
+        const user = await users.findUser(payload.sub);
+        if (!user || user.disabled) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        req.user = { username: user.username, name: user.name, role: user.role };
+        next();
+    } catch (err) {
+        console.error('Error authenticating request:', err);
+        return res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+}
+
+// Stream tokens are turned away here, so they can't stand in for a login
+async function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, secret);
+    } catch (err) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    if (payload.aud === STREAM_AUDIENCE) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    return signIn(req, res, next, payload);
+}
+
+// EventSource can't send headers, so the event stream also takes a stream
+// token as `?access_token=`
+async function authenticateStream(req, res, next) {
+    const token = req.query.access_token;
+    if (req.get('Authorization') || token === undefined) {
+        return authenticate(req, res, next);
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(String(token), secret, { audience: STREAM_AUDIENCE });
+    } catch (err) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    return signIn(req, res, next, payload);
+}
+
+// Roles are ranked viewer < clerk < admin; a higher role passes a lower check
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || !users.hasRole(req.user, role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+module.exports = { issueToken, issueStreamToken, authenticate, authenticateStream, requireRole };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { uploadedFiles, discardUploads } = require('./upload');
+const writeQueue = require('../services/writeQueue');
+
+const KEYS_TABLE = 'Idempotency Keys';
+const DEFAULT_TTL_HOURS = 24;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPruned = 0;
+
+// Keys whose original request is still being processed, mapped to a promise
+// that settles once its response has been stored
+const inFlight = new Map();
+
+// Hash of everything that makes two requests "the same": user, route, body and uploaded files
+function fingerprint(req) {
+    const files = uploadedFiles(req).map(file => ({ name: file.originalname, size: file.size }));
+    const user = req.user ? req.user.username : null;
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([user, req.method, req.baseUrl + req.path, req.body, files]))
+        .digest('hex');
+}
+
+function isExpired(saved) {
+    const ttlHours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    return Date.now() - new Date(saved['Created At']).getTime() > ttlHours * 60 * 60 * 1000;
+}
+
+async function findSavedResponse(storage, key) {
+    const saved = await storage.listRecords(KEYS_TABLE);
+    // Latest entry wins in case an expired key was reused
+    const matches = saved.filter(entry => entry.Key === key);
+    const latest = matches[matches.length - 1];
+    return latest && !isExpired(latest) ? latest : null;
+}
+
+// Deletes expired keys, at most once per PRUNE_INTERVAL_MS, so the table only
+// holds responses that can still be replayed
+async function pruneExpired(storage) {
+    if (Date.now() - lastPruned < PRUNE_INTERVAL_MS) {
+        return;
+    }
+    lastPruned = Date.now();
+
+    const expired = (await storage.listRecords(KEYS_TABLE)).filter(isExpired).map(entry => entry.row);
+    if (expired.length > 0) {
+        await storage.deleteRecords(KEYS_TABLE, expired);
+    }
+}
+
+// Status and body to replay. A request that was queued (202) is answered with
+// how its write stands now; committed jobs are only kept for a while, so one
+// that is gone has committed. One rolling or rolled back counts as failed.
+async function replayedResponse(saved) {
+    const status = parseInt(saved['Status Code'], 10);
+    const body = JSON.parse(saved.Response);
+    if (status !== 202 || !body.transaction) {
+        return { status, body };
+    }
+
+    const job = await writeQueue.findJob(body.transaction.id);
+    if (job && job.status === 'pending') {
+        return { status, body };
+    }
+    if (job && job.status !== 'committed') {
+        return {
+            status: 500,
+            body: { error: `Queued write failed: ${job.error}`, transaction: { id: job.id, status: job.status } }
+        };
+    }
+    return {
+        status: 200,
+        body: {
+            ...body,
+            message: writeQueue.COMMITTED_MESSAGE,
+            transaction: { id: body.transaction.id, status: 'committed' }
+        }
+    };
+}
+
+// Honors the Idempotency-Key header: the first response for a key is stored and
+// replayed for retries, and reusing a key for a different request is rejected.
+// Must run after multer so multipart bodies are part of the fingerprint.
+module.exports = async function idempotency(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    // A retry that arrives while the original is running waits for it and is then replayed
+    while (inFlight.has(key)) {
+        await inFlight.get(key);
+    }
+
+    const hash = fingerprint(req);
+    let release;
+    const pending = new Promise(resolve => {
+        release = () => {
+            if (inFlight.get(key) === pending) {
+                inFlight.delete(key);
+            }
+            resolve();
+        };
+    });
+    inFlight.set(key, pending);
+
+    let saved;
+    let replay;
+    try {
+        saved = await findSavedResponse(req.storage, key);
+        if (saved && saved['Request Hash'] === hash) {
+            replay = await replayedResponse(saved);
+        }
+    } catch (err) {
+        release();
+        discardUploads(req);
+        console.error('Error looking up idempotency key:', err);
+        return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+    }
+
+    if (saved) {
+        release();
+        discardUploads(req);
+        if (saved['Request Hash'] !== hash) {
+            return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(replay.status).json(replay.body);
+    }
+
+    // Server errors and conflicts are worth retrying, so only other responses are
+    // kept. The response is held back until it is stored, so any retry that
+    // follows it is replayed.
+    const originalJson = res.json.bind(res);
+    let responded = false;
+    res.json = body => {
+        responded = true;
+        if (res.statusCode >= 500 || res.statusCode === 409) {
+            release();
+            return originalJson(body);
+        }
+
+        req.storage.appendRecord(KEYS_TABLE, {
+            Key: key,
+            'Request Hash': hash,
+            'Status Code': res.statusCode,
+            Response: JSON.stringify(body),
+            'Created At': new Date().toISOString()
+        })
+            .then(() => pruneExpired(req.storage).catch(err => {
+                console.error('Error pruning idempotency keys:', err);
+            }))
+            .catch(err => {
+                console.error('Error saving idempotency key:', err);
+            })
+            .then(() => {
+                release();
+                originalJson(body);
+            });
+        return res;
+    };
+
+    // Connections aborted before the handler answered never reach res.json
+    res.once('close', () => {
+        if (!responded) {
+            release();
+        }
+    });
+
+    next();
+};
@@ -1,21 +1,85 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const uploadFolder = path.join(__dirname, '../uploads');
 if (!fs.existsSync(uploadFolder)) {
     fs.mkdirSync(uploadFolder);
 }
 
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff'];
+const DEFAULT_MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_IMAGES = 10;
+
+// Temp files get a random name; the client's file name is kept in originalname only
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, uploadFolder);
     },
     filename: (req, file, cb) => {
-        cb(null, `${Date.now()}-${file.originalname}`);
+        const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+        cb(null, `${crypto.randomBytes(16).toString('hex')}${extension}`);
     }
 });
 
 const upload = multer({ storage });
 
-module.exports = upload;
\ No newline at end of file
+const imageUpload = multer({
+    storage,
+    limits: {
+        fileSize: parseInt(process.env.IMAGE_MAX_BYTES, 10) || DEFAULT_MAX_IMAGE_BYTES,
+        files: parseInt(process.env.IMAGE_MAX_FILES, 10) || DEFAULT_MAX_IMAGES
+    },
+    fileFilter: (req, file, cb) => {
+        if (!IMAGE_TYPES.includes(file.mimetype)) {
+            const err = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            err.message = `Images must be one of: ${IMAGE_TYPES.join(', ')}`;
+            return cb(err);
+        }
+        cb(null, true);
+    }
+});
+
+function uploadedFiles(req) {
+    if (req.file) {
+        return [req.file];
+    }
+    if (Array.isArray(req.files)) {
+        return req.files;
+    }
+    return Object.values(req.files || {}).flat();
+}
+
+// Deletes the temp files of a request; safe to call more than once
+function discardUploads(req) {
+    uploadedFiles(req).forEach(file => {
+        fs.unlink(file.path, () => {});
+    });
+}
+
+// Runs a multer handler, answers 400/413 for rejected uploads and makes sure
+// the temp files are gone once the response is over, whatever the outcome
+function withCleanup(handler) {
+    return (req, res, next) => {
+        handler(req, res, err => {
+            if (err instanceof multer.MulterError) {
+                const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return res.status(status).json({ error: err.message });
+            }
+            if (err) {
+                return next(err);
+            }
+            res.on('close', () => discardUploads(req));
+            next();
+        });
+    };
+}
+
+module.exports = {
+    single: field => withCleanup(upload.single(field)),
+    image: field => withCleanup(imageUpload.single(field)),
+    images: field => withCleanup(imageUpload.array(field)),
+    uploadedFiles,
+    discardUploads
+};
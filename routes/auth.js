@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/auth');
+const { authenticate, requireRole } = require('../middlewares/auth');
+
+router.post('/login', authController.login);
+router.get('/me', authenticate, authController.me);
+router.post('/streamToken', authenticate, authController.streamToken);
+router.get('/users', authenticate, requireRole('admin'), authController.listUsers);
+router.post('/users', authenticate, requireRole('admin'), authController.createUser);
+router.patch('/users/:username', authenticate, requireRole('admin'), authController.updateUser);
+
+module.exports = router;
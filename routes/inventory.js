@@ -1,12 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const inventoryController = require('../controllers/inventory');
+const loansController = require('../controllers/loans');
+const transactionsController = require('../controllers/transactions');
+const reorderController = require('../controllers/reorder');
+const importController = require('../controllers/import');
+const exportController = require('../controllers/export');
+const pendingController = require('../controllers/pending');
+const itemsController = require('../controllers/items');
+const imagesController = require('../controllers/images');
+const stocktakesController = require('../controllers/stocktakes');
+const cacheController = require('../controllers/cache');
+const writesController = require('../controllers/writes');
+const eventsController = require('../controllers/events');
+const webhooksController = require('../controllers/webhooks');
+const labelsController = require('../controllers/labels');
+const valuationController = require('../controllers/valuation');
+const uomController = require('../controllers/uom');
+const reservationsController = require('../controllers/reservations');
 const upload = require('../middlewares/upload');
+const idempotency = require('../middlewares/idempotency');
+const { authenticate, authenticateStream, requireRole } = require('../middlewares/auth');
 
-router.post('/add', upload.single('image'), inventoryController.addInventoryWithImage);
-router.get('/search', inventoryController.searchInventory);
-router.post('/issue', inventoryController.issueInventory);
-router.post('/receive', inventoryController.receiveInventory);
-router.post('/addNewItem', upload.single('image'), inventoryController.addNewItemWithoutCode);
+const viewer = requireRole('viewer');
+const clerk = requireRole('clerk');
+const admin = requireRole('admin');
 
-module.exports = router;
\ No newline at end of file
+// The event stream takes its own token, so it is routed ahead of the others
+router.get('/events', authenticateStream, viewer, eventsController.streamEvents);
+
+router.use(authenticate);
+
+router.post('/add', clerk, upload.images('image'), idempotency, inventoryController.addInventoryWithImage);
+router.get('/itemCodes/next', clerk, inventoryController.previewItemCode);
+router.get('/search', viewer, inventoryController.searchInventory);
+router.get('/export', viewer, exportController.exportInventory);
+router.get('/labels', viewer, labelsController.printLabels);
+router.get('/scan/:payload', viewer, labelsController.scanItem);
+router.post('/issue', clerk, idempotency, inventoryController.issueInventory);
+router.post('/receive', clerk, idempotency, inventoryController.receiveInventory);
+router.post('/transfer', clerk, idempotency, inventoryController.transferInventory);
+router.post('/addNewItem', clerk, upload.image('image'), idempotency, inventoryController.addNewItemWithoutCode);
+router.patch('/items/:code', admin, itemsController.updateItem);
+router.delete('/items/:code', admin, itemsController.archiveItem);
+router.post('/items/:code/unarchive', admin, itemsController.unarchiveItem);
+router.get('/items/:code/images', viewer, imagesController.listItemImages);
+router.post('/items/:code/images', clerk, upload.images('images'), idempotency, imagesController.addItemImages);
+router.put('/items/:code/images/:imageId', clerk, upload.image('image'), imagesController.replaceItemImage);
+router.delete('/items/:code/images/:imageId', clerk, imagesController.removeItemImage);
+router.get('/pending', clerk, pendingController.listPendingItems);
+router.patch('/pending/:id', admin, pendingController.updatePendingItem);
+router.post('/pending/:id/approve', admin, idempotency, pendingController.approvePendingItem);
+router.post('/pending/:id/reject', admin, pendingController.rejectPendingItem);
+router.post('/return', clerk, idempotency, loansController.returnLoan);
+router.get('/loans', viewer, loansController.listLoans);
+router.get('/reservations', viewer, reservationsController.listReservations);
+router.post('/reservations', clerk, idempotency, reservationsController.createReservation);
+router.post('/reservations/:id/cancel', clerk, reservationsController.cancelReservation);
+router.get('/transactions', viewer, transactionsController.listTransactions);
+router.get('/transactions/export', viewer, exportController.exportTransactions);
+router.post('/transactions/:id/reverse', admin, idempotency, transactionsController.reverseTransaction);
+router.get('/stocktakes', viewer, stocktakesController.listStocktakes);
+router.post('/stocktakes', clerk, idempotency, stocktakesController.openStocktake);
+router.get('/stocktakes/:id', viewer, stocktakesController.getStocktake);
+router.post('/stocktakes/:id/counts', clerk, idempotency, stocktakesController.submitCounts);
+router.post('/stocktakes/:id/post', admin, idempotency, stocktakesController.postStocktake);
+router.post('/stocktakes/:id/cancel', admin, stocktakesController.cancelStocktake);
+router.post('/import', admin, upload.single('file'), idempotency, importController.importInventory);
+router.get('/reorder', viewer, reorderController.reorderReport);
+router.get('/reorderPoints', viewer, reorderController.listReorderPoints);
+router.put('/reorderPoints', admin, reorderController.setReorderPoint);
+router.get('/valuation', viewer, valuationController.valuationReport);
+router.get('/uomConversions', viewer, uomController.listUomConversions);
+router.put('/uomConversions', admin, uomController.setUomConversion);
+router.get('/cache', admin, cacheController.cacheStats);
+router.get('/writes', admin, writesController.listWrites);
+router.get('/writes/:id', viewer, writesController.getWrite);
+router.get('/webhooks/deliveries', admin, webhooksController.listDeliveries);
+router.post('/webhooks/deliveries/replay', admin, webhooksController.replayFailed);
+router.get('/webhooks/deliveries/:id', admin, webhooksController.getDelivery);
+router.post('/webhooks/deliveries/:id/replay', admin, webhooksController.replayDelivery);
+
+module.exports = router;
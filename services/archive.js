@@ -0,0 +1,64 @@
+const ARCHIVE_TABLE = 'Archived Items';
+
+// Archiving leaves the Inventory row and its history alone; the item is only
+// listed here, which hides it from search and blocks stock movements.
+// Unarchiving marks the entry Restored so the history of both stays visible.
+
+function archiveKey(itemCode, location) {
+    return `${itemCode}@${location}`;
+}
+
+async function listArchived(storage) {
+    const records = await storage.listRecords(ARCHIVE_TABLE);
+    return records.filter(record => record.Status === 'Archived');
+}
+
+async function findArchived(storage, item) {
+    const records = await listArchived(storage);
+    return records.find(record =>
+        record['Item Code'] === item['Item Code'] && record.Location === item.Location
+    ) || null;
+}
+
+async function isArchived(storage, item) {
+    return (await findArchived(storage, item)) !== null;
+}
+
+// Flags each item with Archived: true/false
+async function annotateArchived(storage, items) {
+    const archived = new Set((await listArchived(storage)).map(record =>
+        archiveKey(record['Item Code'], record.Location)
+    ));
+    return items.map(item => ({ ...item, Archived: archived.has(archiveKey(item['Item Code'], item.Location)) }));
+}
+
+function archiveItem(storage, item, archivedBy, reason) {
+    return storage.appendRecord(ARCHIVE_TABLE, {
+        'Item Code': item['Item Code'],
+        Location: item.Location,
+        Description: item.Description,
+        Reason: reason || '',
+        Status: 'Archived',
+        'Archived By': archivedBy,
+        'Archived At': new Date().toISOString(),
+        'Restored By': '',
+        'Restored At': ''
+    });
+}
+
+function restoreItem(storage, record, restoredBy) {
+    return storage.updateRecord(ARCHIVE_TABLE, {
+        ...record,
+        Status: 'Restored',
+        'Restored By': restoredBy,
+        'Restored At': new Date().toISOString()
+    });
+}
+
+module.exports = {
+    findArchived,
+    isArchived,
+    annotateArchived,
+    archiveItem,
+    restoreItem
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { formatTimestamp } = require('../utils/timestamp');
+
+const COST_LAYERS_TABLE = 'Cost Layers';
+const CONSUMPTION_TABLE = 'Cost Consumption';
+
+// Stock received or added with a unit cost opens a cost layer for its item and
+// location, and issuances use the layers up oldest first (FIFO); transfers
+// take them along with the stock they move. Layer quantities and unit costs
+// are in the item's base UOM. Qty also changes in ways that carry no cost
+// (receipts without one, returns, stocktake adjustments), so the layers are
+// read against the Qty on hand: layers are kept newest first up to that Qty,
+// and whatever on-hand stock they don't cover is uncosted and taken as the
+// oldest. What an issuance takes from each layer is recorded under a
+// consumption ID, so a reversal can put it back.
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Unit cost from a request: null when not given, NaN when not a valid cost
+function parseUnitCost(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const unitCost = Number(value);
+    return Number.isFinite(unitCost) && unitCost >= 0 ? unitCost : NaN;
+}
+
+function newLayer(item, qty, unitCost, source) {
+    return {
+        'Layer ID': crypto.randomUUID(),
+        Timestamp: formatTimestamp(new Date()),
+        'Item Code': item['Item Code'],
+        Location: item.Location,
+        'Unit Cost': unitCost,
+        'Received Qty': qty,
+        'Remaining Qty': qty,
+        Source: source
+    };
+}
+
+async function listLayers(storage) {
+    return storage.listRecords(COST_LAYERS_TABLE);
+}
+
+// Layers of one item and location, oldest first
+function layersOf(layers, itemCode, location) {
+    return layers
+        .filter(layer => layer['Item Code'] === itemCode && layer.Location === location)
+        .sort((a, b) => a.row - b.row);
+}
+
+// The item's layers, oldest first, each with the quantity of it still on
+// hand. `uncostedQty` is the on-hand stock no layer covers.
+function openLayers(itemLayers, onHand) {
+    let left = Math.max(onHand, 0);
+    const open = itemLayers.slice().reverse().map(layer => {
+        const remaining = Math.min(parseFloat(layer['Remaining Qty']) || 0, left);
+        left -= remaining;
+        return { layer, remaining };
+    }).reverse();
+    return { open, uncostedQty: left };
+}
+
+// Values the on-hand stock of an item from its layers
+function valueOnHand(itemLayers, onHand) {
+    const { open, uncostedQty } = openLayers(itemLayers, onHand);
+    return open.reduce((totals, { layer, remaining }) => ({
+        ...totals,
+        costedQty: totals.costedQty + remaining,
+        value: totals.value + remaining * (parseFloat(layer['Unit Cost']) || 0)
+    }), { costedQty: 0, uncostedQty, value: 0 });
+}
+
+// Takes `qty` out of an item's stock FIFO: uncosted stock first, then the
+// layers oldest first. Returns the cost of the costed part, the layers whose
+// Remaining Qty changes, ready to be written back, and what was taken from
+// each layer.
+function consume(itemLayers, onHand, qty) {
+    const { open, uncostedQty } = openLayers(itemLayers, onHand);
+    const fromUncosted = Math.min(uncostedQty, qty);
+    let left = qty - fromUncosted;
+    let cost = 0;
+
+    const updates = [];
+    const consumed = [];
+    open.forEach(({ layer, remaining }) => {
+        const taken = Math.min(remaining, left);
+        left -= taken;
+        cost += taken * (parseFloat(layer['Unit Cost']) || 0);
+        if (remaining - taken !== (parseFloat(layer['Remaining Qty']) || 0)) {
+            updates.push({ ...layer, 'Remaining Qty': remaining - taken });
+        }
+        if (taken > 0) {
+            consumed.push({ layer, qty: taken });
+        }
+    });
+
+    return {
+        cost: roundMoney(cost),
+        costedQty: qty - fromUncosted - left,
+        uncostedQty: fromUncosted,
+        updates,
+        consumed
+    };
+}
+
+// Records of what one issuance took from each layer
+function consumptionRecords(consumptionId, consumed) {
+    return consumed.map(({ layer, qty }) => ({
+        'Consumption ID': consumptionId,
+        'Layer ID': layer['Layer ID'],
+        'Item Code': layer['Item Code'],
+        Location: layer.Location,
+        Qty: qty,
+        'Unit Cost': layer['Unit Cost']
+    }));
+}
+
+async function listConsumption(storage, consumptionId) {
+    const records = await storage.listRecords(CONSUMPTION_TABLE);
+    return records.filter(record => record['Consumption ID'] === consumptionId);
+}
+
+// Layers with what an issuance took from them put back
+function restoredLayers(layers, consumption) {
+    return consumption
+        .map(record => {
+            const layer = layers.find(candidate => candidate['Layer ID'] === record['Layer ID']);
+            return layer && {
+                ...layer,
+                'Remaining Qty': Math.min(
+                    (parseFloat(layer['Remaining Qty']) || 0) + (parseFloat(record.Qty) || 0),
+                    parseFloat(layer['Received Qty']) || 0
+                )
+            };
+        })
+        .filter(Boolean);
+}
+
+// Layer a receipt opened: the one it names, or for receipts recorded before
+// they named it, the receipt layer of the same item, time, Qty and cost
+function receiptLayer(layers, receipt) {
+    if (receipt['Cost Layer ID']) {
+        return layers.find(layer => layer['Layer ID'] === receipt['Cost Layer ID']) || null;
+    }
+    if (receipt['Unit Cost'] === undefined || receipt['Unit Cost'] === '') {
+        return null;
+    }
+    return layers.find(layer =>
+        layer.Source === 'receipt' &&
+        layer['Item Code'] === receipt['Item Code'] &&
+        layer.Location === receipt.Location &&
+        layer.Timestamp === receipt.Timestamp &&
+        (parseFloat(layer['Received Qty']) || 0) === (parseFloat(receipt['Receipt Qty']) || 0) &&
+        (parseFloat(layer['Unit Cost']) || 0) === (parseFloat(receipt['Unit Cost']) || 0)
+    ) || null;
+}
+
+// Layer after `qty` of its stock is taken back out, as when its receipt is
+// reversed
+function shrunkLayer(layer, qty) {
+    return { ...layer, 'Remaining Qty': Math.max((parseFloat(layer['Remaining Qty']) || 0) - qty, 0) };
+}
+
+module.exports = {
+    COST_LAYERS_TABLE,
+    CONSUMPTION_TABLE,
+    roundMoney,
+    parseUnitCost,
+    newLayer,
+    listLayers,
+    layersOf,
+    valueOnHand,
+    consume,
+    consumptionRecords,
+    listConsumption,
+    restoredLayers,
+    receiptLayer,
+    shrunkLayer
+};
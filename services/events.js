@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// Stock events: every committed issue, receipt, inventory add and new-item
+// submission is published here once, for the SSE stream and webhooks. Recent
+// events are kept in memory so a reconnecting stream can catch up from its
+// Last-Event-ID; nothing survives a restart, webhooks keep their own log.
+const EVENT_TYPES = ['issue', 'receive', 'add', 'new-item'];
+const DEFAULT_HISTORY = 500;
+
+const listeners = new Set();
+const recent = [];
+
+function historySize() {
+    return parseInt(process.env.EVENT_HISTORY, 10) || DEFAULT_HISTORY;
+}
+
+// Event body for a change to an inventory row; quantities are null when there
+// was no row before (add) or none is touched yet (new-item)
+function stockEvent(type, { itemCode, location, description, oldQty, newQty, actor, data }) {
+    return {
+        type,
+        itemCode: itemCode || '',
+        location,
+        description: description || '',
+        oldQty: oldQty === undefined ? null : oldQty,
+        newQty: newQty === undefined ? null : newQty,
+        actor,
+        data
+    };
+}
+
+// Event for a Qty change of an existing row, as on issue and receive
+function movement(type, item, newQty, actor, data) {
+    return stockEvent(type, {
+        itemCode: item['Item Code'],
+        location: item.Location,
+        description: item.Description,
+        oldQty: parseFloat(item.Qty) || 0,
+        newQty,
+        actor,
+        data
+    });
+}
+
+// Event for a new Inventory row
+function added({ row, ...item }, actor) {
+    return stockEvent('add', {
+        itemCode: item['Item Code'],
+        location: item.Location,
+        description: item.Description,
+        oldQty: null,
+        newQty: parseFloat(item.Qty) || 0,
+        actor,
+        data: item
+    });
+}
+
+// Stamps an event with its ID and time and hands it to every listener. A
+// failing listener is logged and doesn't stop the others or the caller.
+function publish(event) {
+    const published = { id: crypto.randomUUID(), occurredAt: new Date().toISOString(), ...event };
+    recent.push(published);
+    if (recent.length > historySize()) {
+        recent.splice(0, recent.length - historySize());
+    }
+
+    listeners.forEach(listener => {
+        try {
+            listener(published);
+        } catch (err) {
+            console.error(`Error handling event ${published.id}:`, err);
+        }
+    });
+    return published;
+}
+
+// Returns a function that removes the listener again
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Events published after the given one, or null when it is no longer kept
+function eventsSince(eventId) {
+    const index = recent.findIndex(event => event.id === eventId);
+    return index === -1 ? null : recent.slice(index + 1);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    stockEvent,
+    movement,
+    added,
+    publish,
+    subscribe,
+    eventsSince
+};
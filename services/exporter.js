@@ -0,0 +1,131 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { stringify } = require('csv-stringify');
+const { once } = require('events');
+const { finished, pipeline } = require('stream/promises');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const XLSX_CHUNK_ROWS = 500;
+
+// Picks the requested columns (comma-separated) out of the available ones.
+// Returns { error } or { columns }.
+function selectColumns(requested, available) {
+    if (!requested) {
+        return { columns: available };
+    }
+
+    const columns = requested.split(',').map(column => column.trim()).filter(Boolean);
+    const unknown = columns.filter(column => !available.includes(column));
+    if (unknown.length > 0) {
+        return { error: `Unknown export columns: ${unknown.join(', ')}` };
+    }
+    return { columns };
+}
+
+function cellValue(value) {
+    return value === undefined || value === null ? '' : value;
+}
+
+// The returned promises reject when the client goes away mid-download, so an
+// aborted export fails instead of waiting forever
+async function writeCsv(res, columns, rows) {
+    const stringifier = stringify({ header: true, columns });
+    const done = pipeline(stringifier, res);
+
+    for (const row of rows) {
+        // Respect backpressure so large exports don't pile up in memory
+        if (!stringifier.write(columns.map(column => cellValue(row[column])))) {
+            await Promise.race([once(stringifier, 'drain'), done]);
+        }
+    }
+    stringifier.end();
+    await done;
+}
+
+// Rows are added a chunk at a time, letting the zip stream pass them on to the
+// client in between and waiting while it catches up
+async function writeXlsx(res, columns, rows, title) {
+    const done = finished(res);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(title.slice(0, 31));
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (let i = 0; i < rows.length; i++) {
+        sheet.addRow(columns.map(column => cellValue(rows[i][column]))).commit();
+        if ((i + 1) % XLSX_CHUNK_ROWS === 0) {
+            await Promise.race([new Promise(resolve => setImmediate(resolve)), done]);
+            if (res.writableNeedDrain) {
+                await Promise.race([once(res, 'drain'), done]);
+            }
+        }
+    }
+    sheet.commit();
+    await Promise.race([workbook.commit(), done]);
+    await done;
+}
+
+async function writePdf(res, columns, rows, title) {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    doc.pipe(res);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columnWidth = width / columns.length;
+    const left = doc.page.margins.left;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    function drawRow(values, font) {
+        doc.font(font).fontSize(8);
+        const height = Math.max(...values.map(value =>
+            doc.heightOfString(String(value), { width: columnWidth - 4 })
+        )) + 4;
+
+        if (doc.y + height > bottom) {
+            doc.addPage();
+        }
+
+        const top = doc.y;
+        values.forEach((value, i) => {
+            doc.text(String(value), left + i * columnWidth + 2, top + 2, { width: columnWidth - 4 });
+        });
+        doc.moveTo(left, top + height).lineTo(left + width, top + height).strokeColor('#cccccc').stroke();
+        doc.x = left;
+        doc.y = top + height;
+    }
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title, left, doc.y);
+    doc.font('Helvetica').fontSize(9).text(`Generated ${new Date().toLocaleString()}`);
+    doc.moveDown();
+
+    drawRow(columns, 'Helvetica-Bold');
+    for (const row of rows) {
+        drawRow(columns.map(column => cellValue(row[column])), 'Helvetica');
+    }
+
+    doc.end();
+    await finished(res);
+}
+
+// Streams rows to the response in the requested format
+async function sendExport(res, { format, columns, rows, title, filename }) {
+    const types = {
+        csv: 'text/csv',
+        xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        pdf: 'application/pdf'
+    };
+
+    res.status(200);
+    res.set('Content-Type', types[format]);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    if (format === 'xlsx') {
+        return writeXlsx(res, columns, rows, title);
+    }
+    if (format === 'pdf') {
+        return writePdf(res, columns, rows, title);
+    }
+    return writeCsv(res, columns, rows);
+}
+
+module.exports = { EXPORT_FORMATS, selectColumns, sendExport };
@@ -0,0 +1,159 @@
+const path = require('path');
+const { Jimp } = require('jimp');
+const { httpError } = require('../utils/errors');
+
+const IMAGES_TABLE = 'Item Images';
+const DEFAULT_MAX_DIMENSION = 1600;
+const DEFAULT_THUMBNAIL_SIZE = 256;
+
+async function readImage(filePath) {
+    try {
+        return await Jimp.read(filePath);
+    } catch (err) {
+        throw httpError(400, 'Uploaded file is not a readable image');
+    }
+}
+
+function fitWithin(image, size) {
+    if (image.width > size || image.height > size) {
+        image.scaleToFit({ w: size, h: size });
+    }
+    return image;
+}
+
+// Decodes an uploaded image and renders the stored version, capped at
+// IMAGE_MAX_DIMENSION, and a THUMBNAIL_SIZE thumbnail. PNGs stay PNG to keep
+// transparency, everything else becomes JPEG.
+async function processImage(file) {
+    const maxDimension = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || DEFAULT_MAX_DIMENSION;
+    const thumbnailSize = parseInt(process.env.THUMBNAIL_SIZE, 10) || DEFAULT_THUMBNAIL_SIZE;
+
+    const image = await readImage(file.path);
+    const mimeType = image.mime === 'image/png' ? 'image/png' : 'image/jpeg';
+    const thumbnail = fitWithin(image.clone(), thumbnailSize);
+    fitWithin(image, maxDimension);
+
+    return {
+        mimeType,
+        image: await image.getBuffer(mimeType),
+        thumbnail: await thumbnail.getBuffer(mimeType)
+    };
+}
+
+// Processes an upload and saves the image and its thumbnail to the image
+// store. Nothing is left behind in the store if either save fails.
+async function storeImage(imageStore, file) {
+    const { mimeType, image, thumbnail } = await processImage(file);
+    const baseName = path.parse(file.originalname).name;
+    const extension = mimeType === 'image/png' ? '.png' : '.jpg';
+
+    const saved = await imageStore.save({ buffer: image, name: `${baseName}${extension}`, mimeType });
+    let savedThumbnail;
+    try {
+        savedThumbnail = await imageStore.save({ buffer: thumbnail, name: `${baseName}-thumb${extension}`, mimeType });
+    } catch (err) {
+        await discardStoredImages(imageStore, [{ 'Image Id': saved.id }]);
+        throw err;
+    }
+
+    return {
+        'Image Id': saved.id,
+        'Image Link': saved.link,
+        'Thumbnail Id': savedThumbnail.id,
+        'Thumbnail Link': savedThumbnail.link
+    };
+}
+
+// Deletes the stored files behind image records. Images linked before they
+// were managed here have no ids and are left alone.
+async function removeStoredImages(imageStore, images) {
+    for (const image of images) {
+        for (const id of [image['Image Id'], image['Thumbnail Id']]) {
+            if (id) {
+                await imageStore.remove(id);
+            }
+        }
+    }
+}
+
+// Best-effort cleanup of stored files when a later step fails
+function discardStoredImages(imageStore, images) {
+    return removeStoredImages(imageStore, images).catch(err => {
+        console.error('Error discarding stored images:', err);
+    });
+}
+
+// Image records are addressed by their row in the Item Images table
+async function findItemImage(storage, item, id) {
+    const images = await listItemImages(storage, item['Item Code'], item.Location);
+    return images.find(image => image.row === id) || null;
+}
+
+async function listItemImages(storage, itemCode, location) {
+    const records = await storage.listRecords(IMAGES_TABLE);
+    return records.filter(record =>
+        record['Item Code'] === itemCode &&
+        record.Location === location &&
+        record.Status === 'Active'
+    );
+}
+
+function appendItemImage(storage, item, image, addedBy) {
+    return storage.appendRecord(IMAGES_TABLE, {
+        'Item Code': item['Item Code'],
+        Location: item.Location,
+        'Image Id': '',
+        'Thumbnail Id': '',
+        'Thumbnail Link': '',
+        ...image,
+        Status: 'Active',
+        'Added By': addedBy,
+        'Added At': new Date().toISOString()
+    });
+}
+
+// An item whose Image Link predates image records gets a record for it, so the
+// old photo stays the first image once more are added
+async function adoptLegacyImage(storage, item, addedBy) {
+    const images = await listItemImages(storage, item['Item Code'], item.Location);
+    if (images.length === 0 && item['Image Link']) {
+        await appendItemImage(storage, item, { 'Image Link': item['Image Link'] }, addedBy);
+    }
+}
+
+function updateItemImage(storage, record, changes) {
+    return storage.updateRecord(IMAGES_TABLE, { ...record, ...changes });
+}
+
+// Image Link on the Inventory row mirrors the item's first active image
+async function syncPrimaryImage(storage, item) {
+    const [primary] = await listItemImages(storage, item['Item Code'], item.Location);
+    const link = primary ? primary['Image Link'] : '';
+    if (link !== (item['Image Link'] || '')) {
+        return storage.updateItem(item, { 'Image Link': link });
+    }
+    return item;
+}
+
+function toImageView(record) {
+    return {
+        id: record.row,
+        link: record['Image Link'],
+        thumbnail: record['Thumbnail Link'],
+        addedBy: record['Added By'],
+        addedAt: record['Added At']
+    };
+}
+
+module.exports = {
+    storeImage,
+    removeStoredImages,
+    discardStoredImages,
+    findItemImage,
+    listItemImages,
+    appendItemImage,
+    adoptLegacyImage,
+    updateItemImage,
+    syncPrimaryImage,
+    toImageView
+};
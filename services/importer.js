@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { checkCode } = require('./itemCodes');
+
+const IMPORT_COLUMNS = [
+    'Location', 'Item Code', 'Description', 'UOM', 'Qty',
+    'Condition', 'Returnable Item', 'Category', 'Image Link'
+];
+const REQUIRED_COLUMNS = ['Location', 'Item Code', 'Description', 'UOM', 'Qty'];
+const DEFAULT_UOMS = ['pc', 'pcs', 'ea', 'unit', 'box', 'pack', 'set', 'pair', 'roll', 'kg', 'g', 'l', 'ml', 'm'];
+
+function isSpreadsheet(file) {
+    return path.extname(file.originalname).toLowerCase() === '.xlsx' ||
+        file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+}
+
+function isCsv(file) {
+    return path.extname(file.originalname).toLowerCase() === '.csv' ||
+        ['text/csv', 'application/csv'].includes(file.mimetype);
+}
+
+async function readXlsxRows(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+        return [];
+    }
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const values = [];
+        for (let col = 1; col <= sheet.columnCount; col++) {
+            values.push(row.getCell(col).text);
+        }
+        rows[rowNumber - 1] = values;
+    });
+    return Array.from(rows, row => row || []);
+}
+
+async function readCsvRows(filePath) {
+    const raw = await fs.promises.readFile(filePath, 'utf8');
+    return parse(raw, { bom: true, relax_column_count: true, skip_empty_lines: false });
+}
+
+// Reads an uploaded CSV or XLSX file into objects keyed by the header row.
+// `line` is the row number in the file, so reports can point back at it.
+async function readImportFile(file) {
+    let rows;
+    if (isSpreadsheet(file)) {
+        rows = await readXlsxRows(file.path);
+    } else if (isCsv(file)) {
+        rows = await readCsvRows(file.path);
+    } else {
+        return { error: 'Import file must be a CSV or XLSX file' };
+    }
+
+    if (rows.length === 0) {
+        return { error: 'Import file is empty' };
+    }
+
+    const headers = rows[0].map(header => String(header).trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+    if (missing.length > 0) {
+        return { error: `Import file is missing required columns: ${missing.join(', ')}` };
+    }
+
+    const entries = [];
+    rows.slice(1).forEach((row, i) => {
+        if (row.every(cell => String(cell || '').trim() === '')) {
+            return;
+        }
+        const entry = { line: i + 2 };
+        IMPORT_COLUMNS.forEach(column => {
+            const index = headers.indexOf(column);
+            entry[column] = index === -1 ? '' : String(row[index] || '').trim();
+        });
+        entries.push(entry);
+    });
+    return { entries };
+}
+
+function knownUoms(items) {
+    const configured = process.env.UOMS ? process.env.UOMS.split(',') : DEFAULT_UOMS;
+    return new Set(
+        configured.concat(items.map(item => item.UOM || ''))
+            .map(uom => uom.trim().toLowerCase())
+            .filter(Boolean)
+    );
+}
+
+// Validates every entry against the current inventory and decides whether it
+// creates a new row or is applied as a receipt to an existing one
+function planImport(entries, items) {
+    const uoms = knownUoms(items);
+    const existing = new Set(items.map(item => `${item['Item Code']}@${item.Location}`));
+    // Rows created earlier in the file count towards code uniqueness too
+    const known = items.slice();
+
+    return entries.map(({ line, ...entry }) => {
+        const errors = [];
+        REQUIRED_COLUMNS.forEach(column => {
+            if (!entry[column]) {
+                errors.push(`${column} is required`);
+            }
+        });
+
+        const qty = Number(entry.Qty);
+        if (entry.Qty && (isNaN(qty) || qty <= 0)) {
+            errors.push('Qty must be a number greater than zero');
+        }
+
+        if (entry.UOM && !uoms.has(entry.UOM.toLowerCase())) {
+            errors.push(`Unknown UOM: ${entry.UOM}`);
+        }
+
+        // A later line for the same item and location adds to the row the first one creates
+        const key = `${entry['Item Code']}@${entry.Location}`;
+        const action = existing.has(key) ? 'receipt' : 'create';
+
+        if (action === 'create' && entry['Item Code']) {
+            const codeError = checkCode(known, entry['Item Code'], {
+                category: entry.Category,
+                description: entry.Description,
+                location: entry.Location
+            });
+            if (codeError) {
+                errors.push(codeError.message);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { line, action: 'error', errors, entry };
+        }
+
+        existing.add(key);
+        if (action === 'create') {
+            known.push(entry);
+        }
+
+        return { line, action, errors, entry: { ...entry, Qty: qty } };
+    });
+}
+
+module.exports = { readImportFile, planImport, knownUoms };
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { withLock } = require('../utils/lock');
+const { httpError } = require('../utils/errors');
+
+// Numbering schemes live in a JSON file (ITEM_CODE_CONFIG, config/itemCodes.json
+// by default) shaped like:
+//   { "default": { "prefix": "ITM-", "digits": 5 },
+//     "categories": { "Tools": { "prefix": "TL-", "digits": 4 } } }
+// Codes are the prefix followed by a zero-padded sequence number.
+let schemes;
+
+function loadSchemes() {
+    if (!schemes) {
+        const configPath = process.env.ITEM_CODE_CONFIG || path.join(__dirname, '../config/itemCodes.json');
+        schemes = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+    return schemes;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function schemeFor(category) {
+    const { default: fallback, categories = {} } = loadSchemes();
+    return categories[category] || fallback;
+}
+
+function codePattern(scheme) {
+    return new RegExp(`^${escapeRegExp(scheme.prefix)}(\\d{${scheme.digits},})$`);
+}
+
+// Next free code: one past the highest sequence already in use for the prefix
+function nextCodeFrom(items, scheme) {
+    const pattern = codePattern(scheme);
+    const highest = items.reduce((max, item) => {
+        const match = pattern.exec(item['Item Code'] || '');
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+    return `${scheme.prefix}${String(highest + 1).padStart(scheme.digits, '0')}`;
+}
+
+async function previewCode(storage, category) {
+    return nextCodeFrom(await storage.listInventory(), schemeFor(category));
+}
+
+// Returns an httpError when a manually supplied code doesn't fit the
+// category's scheme (400) or already belongs to a different item (409)
+function checkCode(items, itemCode, { category, description, location }) {
+    const scheme = schemeFor(category);
+    if (!codePattern(scheme).test(itemCode)) {
+        return httpError(400, `Item code must look like ${scheme.prefix}${'0'.repeat(scheme.digits)}`);
+    }
+
+    const uses = items.filter(item => item['Item Code'] === itemCode);
+    if (uses.some(item => item.Location === location)) {
+        return httpError(409, 'Item code already exists at this location');
+    }
+    if (uses.some(item => item.Description !== description)) {
+        return httpError(409, 'Item code is already used for a different item');
+    }
+    return null;
+}
+
+// Lock held while codes with the category's prefix are being assigned
+function codeLockKey(category) {
+    return `itemcode:${schemeFor(category).prefix}`;
+}
+
+// Resolves the code for a new Inventory row and runs `write` with it while the
+// prefix is locked, so no other request can take the same code before the row
+// exists. Without an itemCode one is generated; otherwise it is checked.
+function withItemCode(storage, { itemCode, category, description, location }, write) {
+    const scheme = schemeFor(category);
+    return withLock(codeLockKey(category), async () => {
+        const items = await storage.listInventory();
+        if (!itemCode) {
+            return write(nextCodeFrom(items, scheme));
+        }
+
+        const error = checkCode(items, itemCode, { category, description, location });
+        if (error) {
+            throw error;
+        }
+        return write(itemCode);
+    });
+}
+
+module.exports = { schemeFor, previewCode, checkCode, codeLockKey, withItemCode };
@@ -0,0 +1,123 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { Jimp, loadFont } = require('jimp');
+const fonts = require('jimp/fonts');
+const { finished } = require('stream/promises');
+
+// Item labels carry a Code128 barcode or a QR code of the item code and
+// location, percent-encoded and joined by '@' (e.g. 'TL-0001@Store%20B'), so
+// scanning one names exactly one Inventory row. Labels printed before this
+// scheme, or manufacturer barcodes, hold just the item code.
+const SYMBOLOGIES = {
+    code128: { bcid: 'code128', scale: 2, height: 12 },
+    qr: { bcid: 'qrcode', scale: 3 }
+};
+const LABEL_FORMATS = ['pdf', 'png'];
+
+// A4 sheet of 3 x 8 labels, in PDF points
+const SHEET = { columns: 3, rows: 8, marginX: 20, marginY: 30, gap: 6 };
+
+function labelPayload(item) {
+    return `${encodeURIComponent(item['Item Code'])}@${encodeURIComponent(item.Location)}`;
+}
+
+// Reads a scanned value back into { itemCode, location }; location is null
+// for a bare item code. Returns null for a value that can't be decoded.
+function parsePayload(payload) {
+    const text = String(payload || '').trim();
+    if (!text) {
+        return null;
+    }
+
+    const separator = text.indexOf('@');
+    try {
+        if (separator === -1) {
+            return { itemCode: text, location: null };
+        }
+        const itemCode = decodeURIComponent(text.slice(0, separator));
+        const location = decodeURIComponent(text.slice(separator + 1));
+        return itemCode && location ? { itemCode, location } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+let labelFont = null;
+
+function loadLabelFont() {
+    if (!labelFont) {
+        labelFont = loadFont(fonts.SANS_16_BLACK);
+    }
+    return labelFont;
+}
+
+function renderSymbol(item, symbology) {
+    return bwipjs.toBuffer({ ...SYMBOLOGIES[symbology], text: labelPayload(item) });
+}
+
+function labelLines(item) {
+    return [
+        item.Description || '',
+        `${item['Item Code']} | ${item.Location}${item.UOM ? ` | ${item.UOM}` : ''}`
+    ];
+}
+
+// Single label as a PNG: description and code line over the symbol
+async function renderLabelPng(item, symbology) {
+    const symbol = await Jimp.read(await renderSymbol(item, symbology));
+    const font = await loadLabelFont();
+    const padding = 10;
+    const lineHeight = 20;
+    const lines = labelLines(item);
+
+    const width = Math.max(symbol.width + padding * 2, 320);
+    const height = padding * 2 + lines.length * lineHeight + padding + symbol.height;
+    const label = new Jimp({ width, height, color: 0xffffffff });
+    lines.forEach((line, i) => {
+        label.print({ font, x: padding, y: padding + i * lineHeight, text: line });
+    });
+    label.composite(symbol, padding, padding * 2 + lines.length * lineHeight);
+    return label.getBuffer('image/png');
+}
+
+// Streams a PDF sheet of labels, one per item, to the response
+async function writeLabelSheet(res, items, symbology) {
+    const doc = new PDFDocument({ size: 'A4', margin: 0 });
+    doc.pipe(res);
+
+    const width = (doc.page.width - SHEET.marginX * 2 - SHEET.gap * (SHEET.columns - 1)) / SHEET.columns;
+    const height = (doc.page.height - SHEET.marginY * 2 - SHEET.gap * (SHEET.rows - 1)) / SHEET.rows;
+    const perPage = SHEET.columns * SHEET.rows;
+
+    // Rendering stops once the client has gone; finished() then rejects
+    for (let i = 0; i < items.length && !res.destroyed; i++) {
+        if (i > 0 && i % perPage === 0) {
+            doc.addPage({ size: 'A4', margin: 0 });
+        }
+        const slot = i % perPage;
+        const x = SHEET.marginX + (slot % SHEET.columns) * (width + SHEET.gap);
+        const y = SHEET.marginY + Math.floor(slot / SHEET.columns) * (height + SHEET.gap);
+        const [description, codeLine] = labelLines(items[i]);
+
+        doc.font('Helvetica-Bold').fontSize(8)
+            .text(description, x + 4, y + 4, { width: width - 8, height: 10, ellipsis: true, lineBreak: false });
+        doc.font('Helvetica').fontSize(7)
+            .text(codeLine, x + 4, y + 14, { width: width - 8, height: 9, ellipsis: true, lineBreak: false });
+        doc.image(await renderSymbol(items[i], symbology), x + 4, y + 25, {
+            fit: [width - 8, height - 29],
+            align: 'center'
+        });
+    }
+
+    doc.end();
+    await finished(res);
+}
+
+module.exports = {
+    SYMBOLOGIES,
+    LABEL_FORMATS,
+    labelPayload,
+    parsePayload,
+    renderLabelPng,
+    writeLabelSheet
+};
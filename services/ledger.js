@@ -0,0 +1,129 @@
+const { parseTimestamp, parseDate } = require('../utils/timestamp');
+const reversals = require('./reversals');
+
+const TRANSACTION_TYPES = ['issuance', 'receipt', 'new-item', 'transfer', 'adjustment', 'reversal'];
+
+function normalize(type, record, fields) {
+    const date = parseTimestamp(record.Timestamp);
+    return {
+        'Transaction ID': reversals.transactionId(type, record.row),
+        Type: type,
+        Timestamp: record.Timestamp,
+        Date: date ? date.toISOString() : null,
+        'Item Code': record['Item Code'] || '',
+        Qty: parseFloat(record[fields.qty]) || 0,
+        Location: record[fields.location || 'Location'] || '',
+        'To Location': fields.toLocation ? record[fields.toLocation] || '' : '',
+        Description: record.Description || '',
+        'Returnable Item': record['Returnable Item'] || '',
+        Person: record[fields.person] || '',
+        Activity: record.Activity || '',
+        'Notes/Comments': record['Notes/Comments'] || '',
+        'Image Link': record['Image Link'] || '',
+        Row: record.row
+    };
+}
+
+// Issuances, receipts, new-item receipts, completed transfers, stock
+// adjustments and reversals as one feed, newest first; entries whose timestamp
+// can't be parsed sort last. Reversed entries stay in the feed flagged Voided.
+async function listTransactions(storage) {
+    const [ledger, transfers, adjustments, reversalRecords] = await Promise.all([
+        storage.listLedger(),
+        storage.listRecords('Transfers'),
+        storage.listRecords('Adjustments'),
+        reversals.listReversals(storage)
+    ]);
+    const reversed = new Set(reversalRecords.map(record =>
+        reversals.reversalKey(record['Transaction ID'], record['Original Timestamp'])
+    ));
+
+    const transactions = [
+        ...ledger.issuances.map(record => normalize('issuance', record, { qty: 'Issuance Qty', person: 'Issued by' })),
+        ...ledger.receipts.map(record => normalize('receipt', record, { qty: 'Receipt Qty', person: 'Received by' })),
+        ...ledger.newItems.map(record => normalize('new-item', record, { qty: 'Receipt Qty', person: 'Received by' })),
+        ...transfers
+            .filter(record => record.Status === 'Completed')
+            .map(record => ({
+                ...normalize('transfer', record, {
+                    qty: 'Transfer Qty',
+                    person: 'Transferred by',
+                    location: 'From Location',
+                    toLocation: 'To Location'
+                }),
+                'Transfer ID': record['Transfer ID']
+            })),
+        ...adjustments.map(record => ({
+            ...normalize('adjustment', record, { qty: 'Adjustment Qty', person: 'Adjusted by' }),
+            'Session ID': record['Session ID']
+        })),
+        ...reversalRecords.map(record => ({
+            ...normalize('reversal', record, { qty: 'Reversal Qty', person: 'Reversed by' }),
+            'Notes/Comments': record.Reason || '',
+            Reverses: record['Transaction ID']
+        }))
+    ].map(transaction => ({
+        ...transaction,
+        Voided: reversed.has(reversals.reversalKey(transaction['Transaction ID'], transaction.Timestamp))
+    }));
+
+    return transactions.sort((a, b) => {
+        if (!a.Date || !b.Date) {
+            return (a.Date ? 0 : 1) - (b.Date ? 0 : 1);
+        }
+        return b.Date.localeCompare(a.Date);
+    });
+}
+
+function sameText(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// Validates the query string shared by the transaction feed and its export.
+// Returns { error } or the parsed filters.
+function parseTransactionFilters(query) {
+    const { itemCode, location, type, person, activity, from, to } = query;
+
+    if ([itemCode, location, type, person, activity, from, to].some(value => value !== undefined && typeof value !== 'string')) {
+        return { error: 'Transaction filters may only be given once' };
+    }
+
+    const types = type ? type.split(',').map(t => t.trim().toLowerCase()) : [];
+    const unknown = types.filter(t => !TRANSACTION_TYPES.includes(t));
+    if (unknown.length > 0) {
+        return { error: `Unknown transaction type: ${unknown.join(', ')}` };
+    }
+
+    const fromDate = from ? parseDate(from) : null;
+    const toDate = to ? parseDate(to) : null;
+    if ((from && !fromDate) || (to && !toDate)) {
+        return { error: 'Invalid date range' };
+    }
+    // A bare YYYY-MM-DD upper bound includes that whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        toDate.setDate(toDate.getDate() + 1);
+        toDate.setMilliseconds(-1);
+    }
+
+    return { itemCode, location, types, person, activity, fromDate, toDate };
+}
+
+function matchesFilters(transaction, filters) {
+    const { itemCode, location, types, person, activity, fromDate, toDate } = filters;
+    const date = transaction.Date ? new Date(transaction.Date) : null;
+
+    return (!itemCode || sameText(transaction['Item Code'], itemCode)) &&
+        (!location || sameText(transaction.Location, location) || sameText(transaction['To Location'], location)) &&
+        (types.length === 0 || types.includes(transaction.Type)) &&
+        (!person || sameText(transaction.Person, person)) &&
+        (!activity || sameText(transaction.Activity, activity)) &&
+        (!fromDate || (date && date >= fromDate)) &&
+        (!toDate || (date && date <= toDate));
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    listTransactions,
+    parseTransactionFilters,
+    matchesFilters
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+const REVIEWS_TABLE = 'New Item Reviews';
+
+// A review belongs to a submission by row and timestamp, so a blank row that
+// gets reused for a later submission doesn't inherit an old decision
+function reviewKey(row, timestamp) {
+    return `${row}|${timestamp}`;
+}
+
+async function listSubmissions(storage) {
+    const [ledger, reviews] = await Promise.all([
+        storage.listLedger(),
+        storage.listRecords(REVIEWS_TABLE)
+    ]);
+
+    const byKey = new Map(reviews.map(review => [
+        reviewKey(review['Submission Row'], review['Submission Timestamp']),
+        review
+    ]));
+
+    return ledger.newItems.map(record => {
+        const review = byKey.get(reviewKey(record.row, record.Timestamp));
+        return {
+            record,
+            review: review || null,
+            status: review ? review.Status : 'Pending'
+        };
+    });
+}
+
+async function findSubmission(storage, row) {
+    const submissions = await listSubmissions(storage);
+    return submissions.find(submission => submission.record.row === row) || null;
+}
+
+// Review record for a submission, built separately so it can be queued, for
+// an approval along with the new Inventory row
+function newReview(record, review) {
+    return {
+        'Review ID': crypto.randomUUID(),
+        'Submission Row': record.row,
+        'Submission Timestamp': record.Timestamp,
+        Status: review.status,
+        'Item Code': review.itemCode || '',
+        'Reviewed by': review.reviewedBy,
+        'Reviewed At': new Date().toISOString(),
+        Reason: review.reason || ''
+    };
+}
+
+function toSubmissionView({ record, review, status }) {
+    const { row, ...fields } = record;
+    return {
+        'Submission ID': row,
+        ...fields,
+        Status: status,
+        'Item Code': review ? review['Item Code'] : '',
+        'Reviewed by': review ? review['Reviewed by'] : '',
+        Reason: review ? review.Reason : ''
+    };
+}
+
+module.exports = {
+    REVIEWS_TABLE,
+    listSubmissions,
+    findSubmission,
+    newReview,
+    toSubmissionView
+};
@@ -0,0 +1,49 @@
+const REORDER_TABLE = 'Reorder Points';
+
+function toReorderPoint(record) {
+    return {
+        ...record,
+        'Reorder Point': parseFloat(record['Reorder Point']) || 0,
+        'Reorder Qty': parseFloat(record['Reorder Qty']) || 0
+    };
+}
+
+async function listReorderPoints(storage) {
+    const records = await storage.listRecords(REORDER_TABLE);
+    return records.map(toReorderPoint);
+}
+
+async function findReorderPoint(storage, itemCode, location) {
+    const points = await listReorderPoints(storage);
+    return points.find(point => point['Item Code'] === itemCode && point.Location === location) || null;
+}
+
+// Creates or replaces the reorder settings of one item at one location
+async function saveReorderPoint(storage, itemCode, location, reorderPoint, reorderQty) {
+    const existing = await findReorderPoint(storage, itemCode, location);
+    const record = {
+        ...existing,
+        'Item Code': itemCode,
+        Location: location,
+        'Reorder Point': reorderPoint,
+        'Reorder Qty': reorderQty,
+        'Updated At': new Date().toISOString()
+    };
+
+    return existing
+        ? storage.updateRecord(REORDER_TABLE, record)
+        : storage.appendRecord(REORDER_TABLE, record);
+}
+
+// Order at least the reorder quantity, and never less than what's needed to
+// get back up to the reorder point
+function suggestedOrderQty(point, qty) {
+    return Math.max(point['Reorder Qty'], point['Reorder Point'] - qty);
+}
+
+module.exports = {
+    listReorderPoints,
+    findReorderPoint,
+    saveReorderPoint,
+    suggestedOrderQty
+};
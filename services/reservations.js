@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { formatTimestamp, parseDate } = require('../utils/timestamp');
+
+const RESERVATIONS_TABLE = 'Reservations';
+const DEFAULT_RESERVATION_DAYS = 7;
+
+// Stock set aside for a planned activity at one item and location. An open
+// reservation holds its remaining quantity until it is issued against,
+// cancelled or it expires; expired ones simply stop counting, so they release
+// without anything having to run. Quantities are in the item's base UOM.
+
+function defaultExpiry(now) {
+    const days = parseInt(process.env.RESERVATION_DAYS, 10) || DEFAULT_RESERVATION_DAYS;
+    const expiry = new Date(now);
+    expiry.setDate(expiry.getDate() + days);
+    return expiry;
+}
+
+// Expiry from a request, a full ISO date-time or a YYYY-MM-DD date that runs
+// to the end of that day. Returns null when it can't be parsed.
+function parseExpiry(value) {
+    const expiry = parseDate(String(value));
+    if (expiry && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        expiry.setDate(expiry.getDate() + 1);
+        expiry.setMilliseconds(-1);
+    }
+    return expiry;
+}
+
+// Sheets hands numbers back as strings, so quantities are parsed on every read
+function remainingQty(reservation) {
+    return (parseFloat(reservation['Reserved Qty']) || 0) - (parseFloat(reservation['Issued Qty']) || 0);
+}
+
+function isActive(reservation, now) {
+    return reservation.Status === 'Open' && new Date(reservation['Expires At']) > now;
+}
+
+// Status as reported: an open reservation past its expiry reads as Expired
+function statusOf(reservation, now) {
+    return reservation.Status === 'Open' && !isActive(reservation, now) ? 'Expired' : reservation.Status;
+}
+
+function newReservation(item, qty, activity, requestedBy, expiresAt) {
+    return {
+        'Reservation ID': crypto.randomUUID(),
+        Timestamp: formatTimestamp(new Date()),
+        'Item Code': item['Item Code'],
+        Location: item.Location,
+        Description: item.Description || '',
+        Activity: activity,
+        'Requested by': requestedBy,
+        'Reserved Qty': qty,
+        'Issued Qty': 0,
+        'Expires At': expiresAt.toISOString(),
+        Status: 'Open'
+    };
+}
+
+async function listReservations(storage) {
+    return storage.listRecords(RESERVATIONS_TABLE);
+}
+
+async function findReservation(storage, reservationId) {
+    const reservations = await listReservations(storage);
+    return reservations.find(reservation => reservation['Reservation ID'] === reservationId) || null;
+}
+
+// Quantity held by active reservations of an item at a location, leaving out
+// the one with ID `exceptId`
+function reservedQty(reservations, itemCode, location, now, exceptId = null) {
+    return reservations
+        .filter(reservation =>
+            reservation['Item Code'] === itemCode &&
+            reservation.Location === location &&
+            reservation['Reservation ID'] !== exceptId &&
+            isActive(reservation, now)
+        )
+        .reduce((total, reservation) => total + remainingQty(reservation), 0);
+}
+
+// Adds Reserved and Available (on hand less reserved) to inventory items
+async function annotateAvailable(storage, items, now = new Date()) {
+    const reservations = await listReservations(storage);
+    return items.map(item => {
+        const reserved = reservedQty(reservations, item['Item Code'], item.Location, now);
+        return {
+            ...item,
+            Reserved: reserved,
+            Available: Math.max((parseFloat(item.Qty) || 0) - reserved, 0)
+        };
+    });
+}
+
+// Reservation after an issuance of `qty` against it; it is fulfilled once
+// nothing is left
+function issuedReservation(reservation, qty) {
+    const issuedQty = (parseFloat(reservation['Issued Qty']) || 0) + Math.min(qty, remainingQty(reservation));
+    return {
+        ...reservation,
+        'Issued Qty': issuedQty,
+        Status: issuedQty >= (parseFloat(reservation['Reserved Qty']) || 0) ? 'Fulfilled' : 'Open'
+    };
+}
+
+function cancelledReservation(reservation) {
+    return { ...reservation, Status: 'Cancelled' };
+}
+
+function toReservationView(reservation, now) {
+    const { row, ...fields } = reservation;
+    return {
+        ...fields,
+        Status: statusOf(reservation, now),
+        'Remaining Qty': remainingQty(reservation)
+    };
+}
+
+module.exports = {
+    RESERVATIONS_TABLE,
+    defaultExpiry,
+    parseExpiry,
+    remainingQty,
+    isActive,
+    statusOf,
+    newReservation,
+    listReservations,
+    findReservation,
+    reservedQty,
+    annotateAvailable,
+    issuedReservation,
+    cancelledReservation,
+    toReservationView
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { formatTimestamp } = require('../utils/timestamp');
+
+const REVERSALS_TABLE = 'Reversals';
+
+// Ledger rows have no ID column of their own, so a transaction is named by its
+// type and sheet row, e.g. 'issuance-12'. A reversal leaves the original row
+// alone and is recorded here; it also keeps the original timestamp so a row
+// cleared by hand and reused by Google Forms isn't taken for the reversed one.
+const REVERSIBLE = {
+    issuance: { block: 'issuances', qty: 'Issuance Qty', person: 'Issued by', sign: 1 },
+    receipt: { block: 'receipts', qty: 'Receipt Qty', person: 'Received by', sign: -1 }
+};
+
+function transactionId(type, row) {
+    return `${type}-${row}`;
+}
+
+function parseTransactionId(id) {
+    const match = /^([a-z-]+)-(\d+)$/.exec(id || '');
+    return match ? { type: match[1], row: parseInt(match[2], 10) } : null;
+}
+
+function isReversible(type) {
+    return Object.prototype.hasOwnProperty.call(REVERSIBLE, type);
+}
+
+// Ledger record behind an issuance or receipt ID, or null
+async function findTransaction(storage, type, row) {
+    const ledger = await storage.listLedger();
+    return ledger[REVERSIBLE[type].block].find(record => record.row === row) || null;
+}
+
+async function listReversals(storage) {
+    return storage.listRecords(REVERSALS_TABLE);
+}
+
+function reversalKey(id, timestamp) {
+    return `${id}|${timestamp}`;
+}
+
+async function findReversal(storage, id, record) {
+    const reversals = await listReversals(storage);
+    return reversals.find(reversal =>
+        reversal['Transaction ID'] === id && reversal['Original Timestamp'] === record.Timestamp
+    ) || null;
+}
+
+// Quantity change that undoes a transaction: an issuance is put back, a
+// receipt taken out again
+function reversalQty(type, record) {
+    return REVERSIBLE[type].sign * (parseFloat(record[REVERSIBLE[type].qty]) || 0);
+}
+
+// Compensating record, built separately so it can be queued with the Qty write
+function newReversal(type, record, reversedBy, reason) {
+    return {
+        'Reversal ID': crypto.randomUUID(),
+        Timestamp: formatTimestamp(new Date()),
+        'Transaction ID': transactionId(type, record.row),
+        'Transaction Type': type,
+        'Original Timestamp': record.Timestamp,
+        'Original Person': record[REVERSIBLE[type].person] || '',
+        'Item Code': record['Item Code'],
+        Location: record.Location,
+        Description: record.Description || '',
+        'Reversal Qty': reversalQty(type, record),
+        Reason: reason,
+        'Reversed by': reversedBy
+    };
+}
+
+module.exports = {
+    REVERSALS_TABLE,
+    transactionId,
+    parseTransactionId,
+    isReversible,
+    findTransaction,
+    listReversals,
+    reversalKey,
+    findReversal,
+    newReversal
+};
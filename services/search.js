@@ -0,0 +1,199 @@
+const { parseDate } = require('../utils/timestamp');
+
+// Filtering shared by the search endpoint and the inventory export
+
+// Query parameters for the per-column filters. Each accepts an exact value
+// (`category=Tools`) or a substring (`category[contains]=tool`).
+const FIELD_FILTERS = {
+    location: 'Location',
+    category: 'Category',
+    condition: 'Condition',
+    returnable: 'Returnable Item'
+};
+
+const SORT_FIELDS = {
+    location: 'Location',
+    itemCode: 'Item Code',
+    description: 'Description',
+    qty: 'Qty',
+    category: 'Category',
+    condition: 'Condition',
+    dateCounted: 'Date Counted'
+};
+
+// Flags added to items after they are read, which a keyword shouldn't match
+const DERIVED_FIELDS = ['Archived', 'Reserved', 'Available'];
+
+function matchesKeyword(fields, keyword) {
+    return Object.entries(fields).some(([header, field]) =>
+        !DERIVED_FIELDS.includes(header) &&
+        field && field.toString().toLowerCase().includes(keyword.toLowerCase())
+    );
+}
+
+function matchesField(value, filter) {
+    const text = String(value || '').toLowerCase();
+    if (typeof filter === 'object') {
+        if (filter.contains !== undefined) {
+            return text.includes(String(filter.contains).toLowerCase());
+        }
+        return filter.eq === undefined || text === String(filter.eq).toLowerCase();
+    }
+    return text === String(filter).toLowerCase();
+}
+
+// Edit distance where swapping two adjacent characters counts as one typo
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Longer terms tolerate more typos; very short ones must match exactly
+function allowedTypos(term) {
+    if (term.length <= 3) {
+        return 0;
+    }
+    return term.length <= 6 ? 1 : 2;
+}
+
+// Scores how well the fuzzy query matches Description and Item Code.
+// Every query term must be close to some word; lower scores are better,
+// null means no match.
+function fuzzyScore(fields, query) {
+    const words = `${fields.Description || ''} ${fields['Item Code'] || ''}`
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    const terms = query.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+    let score = 0;
+    for (const term of terms) {
+        const best = Math.min(...words.map(word =>
+            word.startsWith(term) ? 0 : editDistance(term, word)
+        ));
+        if (best > allowedTypos(term)) {
+            return null;
+        }
+        score += best;
+    }
+    return score;
+}
+
+function compareValues(a, b, field) {
+    if (field === 'Qty') {
+        return (parseFloat(a) || 0) - (parseFloat(b) || 0);
+    }
+    return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Parses the search query string. Returns { error } or the parsed criteria.
+function parseSearchQuery(query) {
+    const { keyword, fuzzy, qtyMin, qtyMax, countedFrom, countedTo, sort, order, archived } = query;
+
+    if ([keyword, fuzzy, sort, order, archived].some(value => value !== undefined && typeof value !== 'string')) {
+        return { error: 'Search parameters may only be given once' };
+    }
+
+    const fields = {};
+    for (const [param, header] of Object.entries(FIELD_FILTERS)) {
+        if (query[param] !== undefined && query[param] !== '') {
+            fields[header] = query[param];
+        }
+    }
+
+    const min = qtyMin !== undefined && qtyMin !== '' ? parseFloat(qtyMin) : null;
+    const max = qtyMax !== undefined && qtyMax !== '' ? parseFloat(qtyMax) : null;
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+        return { error: 'Qty range must be numeric' };
+    }
+
+    const from = countedFrom ? parseDate(countedFrom) : null;
+    const to = countedTo ? parseDate(countedTo) : null;
+    if ((countedFrom && !from) || (countedTo && !to)) {
+        return { error: 'Invalid Date Counted range' };
+    }
+
+    if (sort && !SORT_FIELDS[sort]) {
+        return { error: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+    }
+    if (order && !['asc', 'desc'].includes(order)) {
+        return { error: 'Order must be asc or desc' };
+    }
+    // Archived items are hidden unless asked for
+    if (archived && !['include', 'only'].includes(archived)) {
+        return { error: 'Archived must be include or only' };
+    }
+
+    return {
+        keyword,
+        fuzzy,
+        fields,
+        min,
+        max,
+        from,
+        to,
+        sort: sort ? SORT_FIELDS[sort] : null,
+        descending: order === 'desc',
+        archived: archived || 'exclude'
+    };
+}
+
+// Applies parsed criteria to inventory items flagged with `Archived`. Results
+// carry the sheet row number as `Row` so clients can act on a hit.
+function applySearch(items, criteria) {
+    const { keyword, fuzzy, fields, min, max, from, to, sort, descending, archived } = criteria;
+
+    const results = [];
+    items.forEach(({ row, ...item }) => {
+        if ((archived === 'exclude' && item.Archived) || (archived === 'only' && !item.Archived)) {
+            return;
+        }
+        if (keyword && !matchesKeyword(item, keyword)) {
+            return;
+        }
+        if (!Object.entries(fields).every(([header, filter]) => matchesField(item[header], filter))) {
+            return;
+        }
+
+        const qty = parseFloat(item.Qty) || 0;
+        if ((min !== null && qty < min) || (max !== null && qty > max)) {
+            return;
+        }
+
+        if (from || to) {
+            const counted = parseDate(String(item['Date Counted'] || ''));
+            if (!counted || (from && counted < from) || (to && counted > to)) {
+                return;
+            }
+        }
+
+        const score = fuzzy ? fuzzyScore(item, fuzzy) : 0;
+        if (score === null) {
+            return;
+        }
+
+        results.push({ result: { ...item, Row: row }, score });
+    });
+
+    if (sort) {
+        results.sort((a, b) => compareValues(a.result[sort], b.result[sort], sort) * (descending ? -1 : 1));
+    } else if (fuzzy) {
+        results.sort((a, b) => a.score - b.score);
+    }
+    return results.map(({ result }) => result);
+}
+
+module.exports = { matchesKeyword, parseSearchQuery, applySearch };
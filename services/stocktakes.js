@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { formatTimestamp } = require('../utils/timestamp');
+
+const SESSIONS_TABLE = 'Stocktakes';
+const COUNTS_TABLE = 'Stocktake Counts';
+const ADJUSTMENTS_TABLE = 'Adjustments';
+
+async function listSessions(storage) {
+    return storage.listRecords(SESSIONS_TABLE);
+}
+
+async function findSession(storage, sessionId) {
+    const sessions = await listSessions(storage);
+    return sessions.find(session => session['Session ID'] === sessionId) || null;
+}
+
+function openSession(storage, location, openedBy, notes) {
+    return storage.appendRecord(SESSIONS_TABLE, {
+        'Session ID': crypto.randomUUID(),
+        Location: location,
+        Status: 'Open',
+        'Opened By': openedBy,
+        'Opened At': formatTimestamp(new Date()),
+        'Closed By': '',
+        'Closed At': '',
+        Notes: notes || ''
+    });
+}
+
+function closeSession(storage, session, status, closedBy) {
+    return storage.updateRecord(SESSIONS_TABLE, {
+        ...session,
+        Status: status,
+        'Closed By': closedBy,
+        'Closed At': formatTimestamp(new Date())
+    });
+}
+
+async function listCounts(storage, sessionId) {
+    const counts = await storage.listRecords(COUNTS_TABLE);
+    return counts.filter(count => count['Session ID'] === sessionId);
+}
+
+// Counts keep the system Qty at the time, so stock that moves between the
+// count and the posting isn't mistaken for a variance
+function appendCount(storage, session, itemCode, countedQty, systemQty, countedBy, notes) {
+    return storage.appendRecord(COUNTS_TABLE, {
+        'Session ID': session['Session ID'],
+        'Item Code': itemCode,
+        Location: session.Location,
+        'Counted Qty': countedQty,
+        'System Qty': systemQty,
+        'Counted By': countedBy,
+        'Counted At': formatTimestamp(new Date()),
+        Notes: notes || ''
+    });
+}
+
+// Counters usually split a location between them, so the counted quantity of
+// an item is the sum over counters, each counter's latest count replacing
+// their earlier ones. `expected` is the system Qty when the item was last
+// counted, null for counts recorded before counts kept it.
+function countedQuantities(counts) {
+    const latest = new Map();
+    const expected = new Map();
+    counts.forEach(count => {
+        latest.set(`${count['Item Code']}|${count['Counted By']}`, count);
+        const systemQty = count['System Qty'];
+        expected.set(count['Item Code'], systemQty === undefined || systemQty === '' ? null : parseFloat(systemQty) || 0);
+    });
+
+    const totals = new Map();
+    latest.forEach(count => {
+        const total = totals.get(count['Item Code']) || { qty: 0, expected: expected.get(count['Item Code']), counters: [] };
+        total.qty += parseFloat(count['Counted Qty']) || 0;
+        total.counters.push(count['Counted By']);
+        totals.set(count['Item Code'], total);
+    });
+    return totals;
+}
+
+// The Qty a count is measured against; without one kept at count time, the
+// item's current Qty
+function expectedQty(counted, item) {
+    return counted.expected === null ? parseFloat(item.Qty) || 0 : counted.expected;
+}
+
+// Compares counted against system quantities for every item at the session's
+// location, leaving out archived ones. Items nobody counted are listed but
+// have no variance.
+function varianceReport(session, items, counts) {
+    const totals = countedQuantities(counts);
+
+    const lines = items
+        .filter(item => item.Location === session.Location && !item.Archived)
+        .map(item => {
+            const systemQty = parseFloat(item.Qty) || 0;
+            const counted = totals.get(item['Item Code']);
+            const expected = counted ? expectedQty(counted, item) : null;
+            return {
+                'Item Code': item['Item Code'],
+                Description: item.Description,
+                UOM: item.UOM,
+                'System Qty': systemQty,
+                'Expected Qty': expected,
+                'Counted Qty': counted ? counted.qty : null,
+                Variance: counted ? counted.qty - expected : null,
+                Counters: counted ? counted.counters : []
+            };
+        });
+
+    const counted = lines.filter(line => line['Counted Qty'] !== null);
+    return {
+        lines,
+        summary: {
+            items: lines.length,
+            counted: counted.length,
+            uncounted: lines.length - counted.length,
+            withVariance: counted.filter(line => line.Variance !== 0).length,
+            netVariance: counted.reduce((sum, line) => sum + line.Variance, 0)
+        }
+    };
+}
+
+// Adjustment record for a counted item, built separately so it can be queued
+// with the Qty update. The adjustment is the variance against the expected
+// Qty, applied on top of whatever moved since the count.
+function newAdjustment(session, item, counted, adjustedBy) {
+    const expected = expectedQty(counted, item);
+    return {
+        'Adjustment ID': crypto.randomUUID(),
+        Timestamp: formatTimestamp(new Date()),
+        'Item Code': item['Item Code'],
+        Location: item.Location,
+        Description: item.Description,
+        'Previous Qty': parseFloat(item.Qty) || 0,
+        'Expected Qty': expected,
+        'Counted Qty': counted.qty,
+        'Adjustment Qty': counted.qty - expected,
+        'Session ID': session['Session ID'],
+        'Adjusted by': adjustedBy,
+        'Notes/Comments': `Stocktake ${session['Session ID']}`
+    };
+}
+
+// Codes of the items a session has already posted adjustments for
+async function adjustedItems(storage, sessionId) {
+    const adjustments = await storage.listRecords(ADJUSTMENTS_TABLE);
+    return new Set(adjustments
+        .filter(adjustment => adjustment['Session ID'] === sessionId)
+        .map(adjustment => adjustment['Item Code']));
+}
+
+module.exports = {
+    ADJUSTMENTS_TABLE,
+    listSessions,
+    findSession,
+    openSession,
+    closeSession,
+    listCounts,
+    appendCount,
+    countedQuantities,
+    expectedQty,
+    varianceReport,
+    newAdjustment,
+    adjustedItems
+};
@@ -0,0 +1,75 @@
+const { httpError } = require('../utils/errors');
+
+const UOM_TABLE = 'UOM Conversions';
+
+// Qty in the Inventory tab is always in the item's own UOM, its base unit.
+// Other units an item is handled in are defined per item code as the number
+// of base units in one of them, e.g. UOM 'box' with Base Qty 12 for an item
+// counted in 'pc'. Issues and receipts entered in another unit are converted
+// to the base unit before any Qty is checked or changed.
+
+function sameUom(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Keeps conversions like 0.1 box x 12 from leaving float noise in the sheet
+function roundQty(qty) {
+    return Math.round(qty * 1e6) / 1e6;
+}
+
+function toConversion(record) {
+    return {
+        ...record,
+        'Base Qty': parseFloat(record['Base Qty']) || 0
+    };
+}
+
+async function listConversions(storage) {
+    const records = await storage.listRecords(UOM_TABLE);
+    return records.map(toConversion);
+}
+
+async function findConversion(storage, itemCode, uom) {
+    const conversions = await listConversions(storage);
+    return conversions.find(conversion =>
+        conversion['Item Code'] === itemCode && sameUom(conversion.UOM, uom)
+    ) || null;
+}
+
+// Creates or replaces the conversion of one unit of an item
+async function saveConversion(storage, itemCode, uom, baseQty) {
+    const existing = await findConversion(storage, itemCode, uom);
+    const record = {
+        ...existing,
+        'Item Code': itemCode,
+        UOM: existing ? existing.UOM : uom,
+        'Base Qty': baseQty,
+        'Updated At': new Date().toISOString()
+    };
+
+    return existing
+        ? storage.updateRecord(UOM_TABLE, record)
+        : storage.appendRecord(UOM_TABLE, record);
+}
+
+// Converts a quantity entered in `uom` to the item's base unit. A missing uom
+// means the base unit; a unit the item has no conversion for is a 400.
+async function toBaseQty(storage, item, qty, uom) {
+    if (!uom || sameUom(uom, item.UOM)) {
+        return { baseQty: qty, uom: item.UOM || '', factor: 1 };
+    }
+
+    const conversion = await findConversion(storage, item['Item Code'], uom);
+    if (!conversion || conversion['Base Qty'] <= 0) {
+        throw httpError(400, `No conversion from ${uom} to ${item.UOM || 'the base unit'} is defined for item ${item['Item Code']}`);
+    }
+    return { baseQty: roundQty(qty * conversion['Base Qty']), uom: conversion.UOM, factor: conversion['Base Qty'] };
+}
+
+module.exports = {
+    UOM_TABLE,
+    sameUom,
+    listConversions,
+    saveConversion,
+    toBaseQty
+};
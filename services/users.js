@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { withLock } = require('../utils/lock');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'clerk', 'admin'];
+
+function usersPath() {
+    return path.resolve(process.env.USERS_FILE || path.join(__dirname, '../data/users.json'));
+}
+
+async function loadUsers() {
+    try {
+        return JSON.parse(await fs.promises.readFile(usersPath(), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+}
+
+async function saveUsers(users) {
+    const filePath = usersPath();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(users, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) {
+        return false;
+    }
+    const candidate = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+// User as exposed by the API, without the password hash
+function publicUser(user) {
+    const { passwordHash, ...fields } = user;
+    return fields;
+}
+
+function hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+async function findUser(username) {
+    const users = await loadUsers();
+    return users.find(user => user.username === username) || null;
+}
+
+async function listUsers() {
+    return (await loadUsers()).map(publicUser);
+}
+
+async function authenticate(username, password) {
+    const user = await findUser(username);
+    if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+        return null;
+    }
+    return user;
+}
+
+// Mutations are serialized so concurrent admin requests don't drop each other's changes
+function mutateUsers(fn) {
+    return withLock('users', async () => {
+        const users = await loadUsers();
+        const result = await fn(users);
+        await saveUsers(users);
+        return result;
+    });
+}
+
+function createUser({ username, password, name, role }) {
+    return mutateUsers(async users => {
+        if (users.some(user => user.username === username)) {
+            return null;
+        }
+        const user = {
+            username,
+            name: name || username,
+            role,
+            disabled: false,
+            passwordHash: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        users.push(user);
+        return publicUser(user);
+    });
+}
+
+function updateUser(username, changes) {
+    return mutateUsers(async users => {
+        const user = users.find(entry => entry.username === username);
+        if (!user) {
+            return null;
+        }
+        if (changes.name !== undefined) {
+            user.name = changes.name;
+        }
+        if (changes.role !== undefined) {
+            user.role = changes.role;
+        }
+        if (changes.disabled !== undefined) {
+            user.disabled = changes.disabled;
+        }
+        if (changes.password !== undefined) {
+            user.passwordHash = await hashPassword(changes.password);
+        }
+        return publicUser(user);
+    });
+}
+
+// Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when the store is empty
+async function ensureAdmin() {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        return;
+    }
+    const users = await loadUsers();
+    if (users.length === 0) {
+        await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+        console.log(`Created initial admin user ${ADMIN_USERNAME}`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    findUser,
+    listUsers,
+    authenticate,
+    createUser,
+    updateUser,
+    ensureAdmin
+};
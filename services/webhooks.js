@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const events = require('./events');
+const { withLock } = require('../utils/lock');
+const { backoffDelay } = require('../utils/retry');
+
+// Outbound webhooks. Every event is POSTed as JSON to each URL in WEBHOOK_URLS
+// (comma-separated), signed with WEBHOOK_SECRET: X-Webhook-Signature is
+// 'sha256=' and the hex HMAC-SHA256 of '<X-Webhook-Timestamp>.<body>'.
+// Each delivery is kept in a local log (WEBHOOK_LOG_FILE); failed attempts are
+// retried with backoff, pending ones resume after a restart, and any entry can
+// be replayed. A replay sends the same event again, so receivers can dedupe
+// on its id.
+const DEFAULT_ATTEMPTS = 8;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETENTION_HOURS = 168;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+function webhookUrls() {
+    return (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+function logPath() {
+    return path.resolve(process.env.WEBHOOK_LOG_FILE || path.join(__dirname, '../data/webhook-deliveries.json'));
+}
+
+async function loadDeliveries() {
+    try {
+        return JSON.parse(await fs.promises.readFile(logPath(), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+}
+
+async function saveDeliveries(deliveries) {
+    const filePath = logPath();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(deliveries, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+// Delivered and replayed entries are only kept for WEBHOOK_LOG_RETENTION_HOURS;
+// pending and failed ones stay until replayed
+function isExpired(delivery, now) {
+    const hours = parseFloat(process.env.WEBHOOK_LOG_RETENTION_HOURS) || DEFAULT_RETENTION_HOURS;
+    const settled = delivery.status === 'delivered' || delivery.replayedBy;
+    return settled && now - new Date(delivery.updatedAt).getTime() > hours * 60 * 60 * 1000;
+}
+
+function saveDelivery(delivery) {
+    return withLock('webhook-log', async () => {
+        const now = Date.now();
+        delivery.updatedAt = new Date(now).toISOString();
+        const deliveries = (await loadDeliveries()).filter(saved => saved.id !== delivery.id && !isExpired(saved, now));
+        deliveries.push(delivery);
+        await saveDeliveries(deliveries);
+    });
+}
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// One POST of a delivery's event; resolves to the response status and rejects
+// on anything but a 2xx
+async function send(delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+    const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': delivery.event.type,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${sign(process.env.WEBHOOK_SECRET, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+        const err = new Error(`Webhook responded with ${response.status}`);
+        err.responseStatus = response.status;
+        throw err;
+    }
+    return response.status;
+}
+
+async function attempt(delivery) {
+    const attempts = parseInt(process.env.WEBHOOK_ATTEMPTS, 10) || DEFAULT_ATTEMPTS;
+    delivery.attempts += 1;
+    try {
+        delivery.responseStatus = await send(delivery);
+        delivery.status = 'delivered';
+        delivery.error = '';
+        delivery.nextAttemptAt = null;
+    } catch (err) {
+        delivery.responseStatus = err.responseStatus || null;
+        delivery.error = err.message;
+        if (delivery.attempts >= attempts) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempts: ${err.message}`);
+        } else {
+            const delay = backoffDelay(delivery.attempts - 1, { baseMs: RETRY_BASE_MS, maxMs: RETRY_MAX_MS });
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            const timer = setTimeout(() => run(delivery), delay);
+            timer.unref();
+        }
+    }
+    await saveDelivery(delivery);
+}
+
+function run(delivery) {
+    return attempt(delivery).catch(err => {
+        console.error(`Error delivering webhook ${delivery.id}:`, err);
+    });
+}
+
+function isEnabled() {
+    return webhookUrls().length > 0 && Boolean(process.env.WEBHOOK_SECRET);
+}
+
+// Logs a delivery of the event to the URL and sends it in the background
+async function deliver(event, url, replayOf = null) {
+    const delivery = {
+        id: crypto.randomUUID(),
+        eventId: event.id,
+        type: event.type,
+        url,
+        status: 'pending',
+        attempts: 0,
+        responseStatus: null,
+        error: '',
+        replayOf,
+        replayedBy: null,
+        event,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: null
+    };
+    await saveDelivery(delivery);
+    run(delivery);
+    return delivery;
+}
+
+function handleEvent(event) {
+    webhookUrls().forEach(url => {
+        deliver(event, url).catch(err => {
+            console.error(`Failed to log webhook delivery of event ${event.id}:`, err);
+        });
+    });
+}
+
+// Subscribes to stock events and resumes deliveries left pending by a
+// previous run. Webhooks stay off unless both URLs and a secret are set.
+async function start() {
+    if (webhookUrls().length > 0 && !process.env.WEBHOOK_SECRET) {
+        console.error('WEBHOOK_URLS is set without WEBHOOK_SECRET, webhooks are disabled');
+    }
+    if (!isEnabled()) {
+        return 0;
+    }
+
+    events.subscribe(handleEvent);
+    const pending = (await loadDeliveries()).filter(delivery => delivery.status === 'pending');
+    pending.forEach(run);
+    return pending.length;
+}
+
+async function findDelivery(id) {
+    const deliveries = await loadDeliveries();
+    return deliveries.find(delivery => delivery.id === id) || null;
+}
+
+async function listDeliveries() {
+    return loadDeliveries();
+}
+
+// Sends a logged delivery's event again as a new delivery to the same URL,
+// noting the new one on the original
+async function replay(delivery) {
+    const replayed = await deliver(delivery.event, delivery.url, delivery.id);
+    await saveDelivery({ ...delivery, replayedBy: replayed.id });
+    return replayed;
+}
+
+// Failed deliveries that haven't been replayed yet
+async function listUnreplayedFailures() {
+    const deliveries = await loadDeliveries();
+    return deliveries.filter(delivery => delivery.status === 'failed' && !delivery.replayedBy);
+}
+
+// Delivery as reported by the API; the event itself is left out of lists
+function toDeliveryView(delivery, withEvent = false) {
+    const { event, ...view } = delivery;
+    return withEvent ? delivery : view;
+}
+
+module.exports = {
+    isEnabled,
+    start,
+    findDelivery,
+    listDeliveries,
+    listUnreplayedFailures,
+    replay,
+    toDeliveryView
+};
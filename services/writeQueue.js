@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withLock, withLocks } = require('../utils/lock');
+const { httpError } = require('../utils/errors');
+const events = require('./events');
+const reversals = require('./reversals');
+const { isRetryableError, backoffDelay } = require('../utils/retry');
+
+// Durable queue for writes that take several storage calls, such as an
+// issuance (Qty update, ledger row, loan). A job lists its steps up front and
+// is saved to a local file before the first one runs; progress is saved after
+// every step. When Google fails with a retryable error the job stays pending
+// and is retried in the background, and pending jobs are picked up again when
+// the server restarts, so a half-done write always gets finished. Any other
+// error rolls the job back: the steps already done are undone, last first.
+//
+// Steps and undos must be safe to run twice: after a failure or crash it isn't
+// known whether the last one went through, so on a retry each first checks
+// whether its change is already there.
+
+const DEFAULT_RETENTION_HOURS = 24;
+
+const PENDING_MESSAGE = 'Request accepted, the sheet will be updated once Google is reachable again';
+const COMMITTED_MESSAGE = 'Request completed, the sheet has been updated';
+
+// Lock keys of jobs waiting for a retry. New writes to the same items are
+// refused until those jobs finish, so they can't be overtaken.
+const pendingKeys = new Map();
+
+function holdKeys(job) {
+    job.lockKeys.forEach(key => pendingKeys.set(key, job.id));
+}
+
+function releaseKeys(job) {
+    job.lockKeys.forEach(key => {
+        if (pendingKeys.get(key) === job.id) {
+            pendingKeys.delete(key);
+        }
+    });
+}
+
+function queuePath() {
+    return path.resolve(process.env.WRITE_QUEUE_FILE || path.join(__dirname, '../data/write-queue.json'));
+}
+
+async function loadJobs() {
+    try {
+        return JSON.parse(await fs.promises.readFile(queuePath(), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+}
+
+async function saveJobs(jobs) {
+    const filePath = queuePath();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(jobs, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+// Committed jobs are only kept for WRITE_QUEUE_RETENTION_HOURS; the others
+// stay until dealt with
+function isExpired(job, now) {
+    const hours = parseFloat(process.env.WRITE_QUEUE_RETENTION_HOURS) || DEFAULT_RETENTION_HOURS;
+    return job.status === 'committed' && now - new Date(job.updatedAt).getTime() > hours * 60 * 60 * 1000;
+}
+
+function saveJob(job) {
+    return withLock('write-queue', async () => {
+        const now = Date.now();
+        job.updatedAt = new Date(now).toISOString();
+        const jobs = (await loadJobs()).filter(saved => saved.id !== job.id && !isExpired(saved, now));
+        jobs.push(job);
+        await saveJobs(jobs);
+    });
+}
+
+// Appended records are found again by their key: the fields, such as a Loan ID,
+// that name them. Other fields can come back from Sheets formatted differently
+// from how they were sent, so they aren't compared. Keys are compared as text.
+function sameKey(record, candidate, key) {
+    return key.every(field => String(record[field] ?? '') === String(candidate[field] ?? ''));
+}
+
+function sameQty(a, b) {
+    return (parseFloat(a) || 0) === (parseFloat(b) || 0);
+}
+
+const LEDGER_APPENDS = {
+    appendIssuance: { block: 'issuances', type: 'issuance' },
+    appendReceipt: { block: 'receipts', type: 'receipt' }
+};
+
+// Ledger rows are named by an Entry ID; record steps give their own key
+const LEDGER_KEY = ['Entry ID'];
+
+// Whether an append step's record carries its key, without which a retry
+// couldn't tell it from other records
+function isKeyed(step) {
+    const key = LEDGER_APPENDS[step.op] ? LEDGER_KEY : step.key;
+    return Array.isArray(key) && key.length > 0 && key.every(field => step.record[field]);
+}
+
+// What each kind of step does, given whether this is a retry
+const OPERATIONS = {
+    async updateQty(storage, { item, qty }, retrying) {
+        if (retrying) {
+            const current = await storage.findItem(item['Item Code'], item.Location);
+            if (current && current.row === item.row && sameQty(current.Qty, qty)) {
+                return;
+            }
+        }
+        await storage.updateQty(item, qty);
+    },
+
+    // Writing the same columns again changes nothing, so a retry just repeats it
+    async updateItem(storage, { item, fields }) {
+        await storage.updateItem(item, fields);
+    },
+
+    // An item code is only used once per location, so an item already there
+    // is the one this step appended
+    async appendItem(storage, { entry }, retrying) {
+        if (retrying && await storage.findItem(entry['Item Code'], entry.Location)) {
+            return;
+        }
+        await storage.appendItem(entry);
+    },
+
+    async appendIssuance(storage, { record }, retrying) {
+        return appendLedger(storage, 'appendIssuance', record, retrying);
+    },
+
+    async appendReceipt(storage, { record }, retrying) {
+        return appendLedger(storage, 'appendReceipt', record, retrying);
+    },
+
+    async appendRecord(storage, { table, record, key }, retrying) {
+        if (retrying) {
+            const records = await storage.listRecords(table);
+            if (records.some(candidate => sameKey(record, candidate, key))) {
+                return;
+            }
+        }
+        await storage.appendRecord(table, record);
+    },
+
+    // The record as it was is kept for an undo. A retry after a crash may
+    // find it already changed, so it is only read the first time.
+    async updateRecord(storage, step) {
+        if (step.previous === undefined) {
+            const records = await storage.listRecords(step.table);
+            step.previous = records.find(candidate => candidate.row === step.record.row) || null;
+        }
+        await storage.updateRecord(step.table, step.record);
+    }
+};
+
+async function findLedgerEntry(storage, operation, record) {
+    const ledger = await storage.listLedger();
+    return ledger[LEDGER_APPENDS[operation].block].find(candidate => sameKey(record, candidate, LEDGER_KEY)) || null;
+}
+
+async function appendLedger(storage, operation, record, retrying) {
+    if (retrying && await findLedgerEntry(storage, operation, record)) {
+        return;
+    }
+    await storage[operation](record);
+}
+
+// How each kind of step is undone, given the job being rolled back
+const UNDOS = {
+    // Qty goes back to what the step found, unless it is back there already
+    async updateQty(storage, { item, qty }) {
+        await OPERATIONS.updateQty(storage, { item: { ...item, Qty: qty }, qty: item.Qty }, true);
+    },
+
+    // The columns the step wrote get the values they were read with
+    async updateItem(storage, { item, fields }) {
+        const previous = Object.fromEntries(Object.keys(fields).map(field => [field, item[field] ?? '']));
+        await storage.updateItem(item, previous);
+    },
+
+    async appendItem(storage, { entry }) {
+        const item = await storage.findItem(entry['Item Code'], entry.Location);
+        if (item) {
+            await storage.deleteItem(item);
+        }
+    },
+
+    async appendIssuance(storage, { record }, job) {
+        return voidLedgerEntry(storage, 'appendIssuance', record, job);
+    },
+
+    async appendReceipt(storage, { record }, job) {
+        return voidLedgerEntry(storage, 'appendReceipt', record, job);
+    },
+
+    async appendRecord(storage, { table, record, key }) {
+        const records = await storage.listRecords(table);
+        const appended = records.find(candidate => sameKey(record, candidate, key));
+        if (appended) {
+            await storage.deleteRecords(table, [appended.row]);
+        }
+    },
+
+    async updateRecord(storage, { table, previous }) {
+        if (previous) {
+            await storage.updateRecord(table, previous);
+        }
+    }
+};
+
+// Ledger rows are never removed; like a reversal by hand, a reversal record
+// voids the entry, while the Qty change is undone by its own step
+async function voidLedgerEntry(storage, operation, record, job) {
+    const entry = await findLedgerEntry(storage, operation, record);
+    const { type } = LEDGER_APPENDS[operation];
+    if (!entry || await reversals.findReversal(storage, reversals.transactionId(type, entry.row), entry)) {
+        return;
+    }
+    const reversal = reversals.newReversal(type, entry, 'write queue', `Write ${job.id} rolled back: ${job.error}`);
+    await storage.appendRecord(reversals.REVERSALS_TABLE, reversal);
+}
+
+// Keeps a job that hit a retryable error for a retry in the background
+async function awaitRetry(storage, job) {
+    await saveJob(job);
+    holdKeys(job);
+    scheduleRetry(storage, job);
+}
+
+// Runs the remaining steps of a job. Returns the job, pending if a retryable
+// error stopped it. Any other error rolls the job back and is rethrown.
+async function runSteps(storage, job, retrying) {
+    let failure = null;
+    while (job.status === 'pending' && job.next < job.steps.length) {
+        const step = job.steps[job.next];
+        try {
+            await OPERATIONS[step.op](storage, step, retrying || job.attempts > 0);
+        } catch (err) {
+            job.attempts += 1;
+            job.error = err.message;
+            if (isRetryableError(err)) {
+                await awaitRetry(storage, job);
+                return job;
+            }
+            if (job.next === 0) {
+                // Nothing was written, so there is nothing to undo
+                job.status = 'failed';
+                releaseKeys(job);
+                await saveJob(job);
+                throw err;
+            }
+            console.error(`Write ${job.id} failed after ${job.next} of ${job.steps.length} steps, rolling back:`, err);
+            failure = err;
+            job.status = 'rolling-back';
+            await saveJob(job);
+            break;
+        }
+        job.next += 1;
+        await saveJob(job);
+    }
+
+    if (job.status === 'rolling-back') {
+        return rollBack(storage, job, failure || new Error(job.error));
+    }
+
+    job.status = 'committed';
+    job.error = '';
+    releaseKeys(job);
+    await saveJob(job);
+    if (job.event) {
+        events.publish(job.event);
+    }
+    return job;
+}
+
+// Undoes the steps a job got through, last first, then runs its rollback
+// steps and rethrows what failed it, marked `rolledBack`. Undos are retried
+// like steps; one that fails outright leaves the job failed, half applied.
+async function rollBack(storage, job, failure) {
+    while (job.next > 0) {
+        const step = job.steps[job.next - 1];
+        try {
+            await UNDOS[step.op](storage, step, job);
+        } catch (err) {
+            if (isRetryableError(err)) {
+                job.attempts += 1;
+                await awaitRetry(storage, job);
+                throw failure;
+            }
+            job.status = 'failed';
+            job.error = `${job.error}; rollback failed: ${err.message}`;
+            releaseKeys(job);
+            await saveJob(job);
+            console.error(`Write ${job.id} failed and could not be rolled back past step ${job.next} of ${job.steps.length}:`, err);
+            throw failure;
+        }
+        job.next -= 1;
+        await saveJob(job);
+    }
+
+    for (const step of job.rollbackSteps) {
+        try {
+            await OPERATIONS[step.op](storage, step, true);
+        } catch (err) {
+            console.error(`Write ${job.id} was rolled back but its ${step.op} rollback step failed:`, err);
+        }
+    }
+    job.status = 'rolled-back';
+    releaseKeys(job);
+    await saveJob(job);
+    failure.rolledBack = true;
+    throw failure;
+}
+
+// Retries and resumed jobs take the job's locks; the request that submitted
+// the job already holds them
+function resumeJob(storage, job) {
+    return withLocks(job.lockKeys, () => runSteps(storage, job, true)).catch(err => {
+        console.error(`Write ${job.id} ${err.rolledBack ? 'was rolled back' : 'failed'}:`, err);
+    });
+}
+
+function scheduleRetry(storage, job) {
+    const timer = setTimeout(() => resumeJob(storage, job), backoffDelay(job.attempts));
+    timer.unref();
+}
+
+// Saves a job and runs it straight away. `type` names the write for status
+// reports and `lockKeys` are the locks the caller holds while submitting.
+// `event`, when given, is published once the job commits, and `rollbackSteps`
+// are run after a rollback to leave a trace of the failed write. Ledger records
+// carry an Entry ID and appendRecord steps name the `key` fields of their record.
+async function submit(storage, { type, lockKeys, steps, event = null, rollbackSteps = [] }) {
+    const unkeyed = [...steps, ...rollbackSteps].find(step =>
+        (step.op === 'appendRecord' || LEDGER_APPENDS[step.op]) && !isKeyed(step)
+    );
+    if (unkeyed) {
+        throw new Error(`${unkeyed.op} step of a ${type} write has no key to find its record by`);
+    }
+    if (lockKeys.some(key => pendingKeys.has(key))) {
+        throw httpError(503, 'An earlier write to this item is still pending, please retry shortly');
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'pending',
+        lockKeys,
+        steps,
+        event,
+        rollbackSteps,
+        next: 0,
+        attempts: 0,
+        error: '',
+        createdAt: new Date().toISOString()
+    };
+    await saveJob(job);
+    return runSteps(storage, job, false);
+}
+
+// Picks up jobs left pending or rolling back by a previous run of the server
+async function resumePending(storage) {
+    const pending = (await loadJobs()).filter(job => job.status === 'pending' || job.status === 'rolling-back');
+    pending.forEach(holdKeys);
+    for (const job of pending) {
+        console.log(`Resuming write ${job.id} (${job.type}) at step ${job.next + 1} of ${job.steps.length}`);
+        await resumeJob(storage, job);
+    }
+    return pending.length;
+}
+
+async function findJob(id) {
+    const jobs = await loadJobs();
+    return jobs.find(job => job.id === id) || null;
+}
+
+async function listJobs() {
+    return loadJobs();
+}
+
+function isCommitted(job) {
+    return job.status === 'committed';
+}
+
+// A job still pending is accepted but not yet in the sheet
+function statusCode(job) {
+    return isCommitted(job) ? 200 : 202;
+}
+
+// Job as reported by the API, without the step payloads
+function toJobView(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        completedSteps: job.next,
+        totalSteps: job.steps.length,
+        attempts: job.attempts,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+module.exports = {
+    PENDING_MESSAGE,
+    COMMITTED_MESSAGE,
+    submit,
+    resumePending,
+    findJob,
+    listJobs,
+    isCommitted,
+    statusCode,
+    toJobView
+};
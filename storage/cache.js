@@ -0,0 +1,193 @@
+// Read cache in front of a storage adapter. Inventory, the Form Responses
+// ledger and each record table are cached as a whole for ttlMs, so a burst of
+// requests reads the sheet once. Our own writes patch or drop the cached copy;
+// edits made directly in the sheet show up once the TTL runs out. Reads hand
+// out copies so callers can't change what's cached.
+//
+// The blank-row scans the Sheets adapter does before writing a ledger row are
+// deliberately not cached: Google Forms appends to the same blocks.
+
+function inventoryKey(itemCode, location) {
+    return `${itemCode}@${location}`;
+}
+
+function copyRecords(records) {
+    return records.map(record => ({ ...record }));
+}
+
+function createCachedStorage(storage, ttlMs) {
+    const entries = new Map();
+    const metrics = {};
+
+    function stats(name) {
+        return metrics[name] || (metrics[name] = { hits: 0, misses: 0, invalidations: 0 });
+    }
+
+    // Concurrent misses share one load. A load that is overtaken by an
+    // invalidation still answers its callers but isn't kept.
+    function cached(name, load) {
+        const entry = entries.get(name);
+        if (entry && (entry.loading || Date.now() - entry.loadedAt < ttlMs)) {
+            stats(name).hits += 1;
+            return entry.loading || Promise.resolve(entry.value);
+        }
+
+        stats(name).misses += 1;
+        const fresh = {};
+        fresh.loading = load().then(
+            value => {
+                if (entries.get(name) === fresh) {
+                    Object.assign(fresh, { value, loadedAt: Date.now(), loading: null });
+                }
+                return value;
+            },
+            err => {
+                if (entries.get(name) === fresh) {
+                    entries.delete(name);
+                }
+                throw err;
+            }
+        );
+        entries.set(name, fresh);
+        return fresh.loading;
+    }
+
+    function invalidate(name) {
+        if (entries.delete(name)) {
+            stats(name).invalidations += 1;
+        }
+    }
+
+    // Runs a write and drops the named cache afterwards, also when it fails
+    // part-way and the sheet may have changed anyway
+    async function writeThrough(name, write) {
+        try {
+            return await write();
+        } finally {
+            invalidate(name);
+        }
+    }
+
+    function loadInventory() {
+        return cached('inventory', async () => {
+            const items = await storage.listInventory();
+            const index = new Map(items.map(item => [inventoryKey(item['Item Code'], item.Location), item]));
+            return { items, index };
+        });
+    }
+
+    // Applies a successful row update to the cached copy. A conflict means the
+    // cache is behind the sheet, so it is dropped and the retry reads fresh data.
+    async function patchInventory(item, write) {
+        let updated;
+        try {
+            updated = await write();
+        } catch (err) {
+            invalidate('inventory');
+            throw err;
+        }
+
+        const entry = entries.get('inventory');
+        const cachedItem = entry && entry.value && entry.value.index.get(inventoryKey(item['Item Code'], item.Location));
+        if (!cachedItem || cachedItem.row !== item.row ||
+            updated['Item Code'] !== item['Item Code'] || updated.Location !== item.Location) {
+            invalidate('inventory');
+        } else {
+            Object.assign(cachedItem, updated);
+        }
+        return updated;
+    }
+
+    return {
+        ...storage,
+
+        async listInventory() {
+            const { items } = await loadInventory();
+            return copyRecords(items);
+        },
+
+        async findItem(itemCode, location) {
+            const { index } = await loadInventory();
+            const item = index.get(inventoryKey(itemCode, location));
+            return item ? { ...item } : null;
+        },
+
+        updateQty(item, qty) {
+            return patchInventory(item, () => storage.updateQty(item, qty));
+        },
+
+        updateItem(item, fields) {
+            return patchInventory(item, () => storage.updateItem(item, fields));
+        },
+
+        appendItems(entries) {
+            return writeThrough('inventory', () => storage.appendItems(entries));
+        },
+
+        async appendItem(entry) {
+            const [item] = await this.appendItems([entry]);
+            return item;
+        },
+
+        deleteItem(item) {
+            return writeThrough('inventory', () => storage.deleteItem(item));
+        },
+
+        async listLedger() {
+            const ledger = await cached('ledger', () => storage.listLedger());
+            return {
+                issuances: copyRecords(ledger.issuances),
+                receipts: copyRecords(ledger.receipts),
+                newItems: copyRecords(ledger.newItems)
+            };
+        },
+
+        appendIssuance(record) {
+            return writeThrough('ledger', () => storage.appendIssuance(record));
+        },
+
+        appendReceipt(record) {
+            return writeThrough('ledger', () => storage.appendReceipt(record));
+        },
+
+        appendNewItem(record) {
+            return writeThrough('ledger', () => storage.appendNewItem(record));
+        },
+
+        updateNewItem(record) {
+            return writeThrough('ledger', () => storage.updateNewItem(record));
+        },
+
+        async listRecords(table) {
+            return copyRecords(await cached(`table:${table}`, () => storage.listRecords(table)));
+        },
+
+        appendRecord(table, record) {
+            return writeThrough(`table:${table}`, () => storage.appendRecord(table, record));
+        },
+
+        updateRecord(table, record) {
+            return writeThrough(`table:${table}`, () => storage.updateRecord(table, record));
+        },
+
+        deleteRecords(table, rowNumbers) {
+            return writeThrough(`table:${table}`, () => storage.deleteRecords(table, rowNumbers));
+        },
+
+        cacheStats() {
+            const caches = {};
+            Object.entries(metrics).forEach(([name, counts]) => {
+                const entry = entries.get(name);
+                const lookups = counts.hits + counts.misses;
+                caches[name] = {
+                    ...counts,
+                    hitRate: lookups > 0 ? counts.hits / lookups : null,
+                    ageMs: entry && entry.loadedAt ? Date.now() - entry.loadedAt : null
+                };
+            });
+            return { ttlMs, caches };
+        }
+    };
+}
+
+module.exports = { createCachedStorage };
@@ -0,0 +1,47 @@
+const { google } = require('googleapis');
+const { Readable } = require('stream');
+const { httpError } = require('../utils/errors');
+const { withRetry } = require('../utils/retry');
+
+// Image store that uploads into a Google Drive folder
+function createDriveImageStore(keyFile, folderId) {
+    const drive = new google.drive({
+        version: 'v3',
+        auth: new google.auth.GoogleAuth({
+            keyFile,
+            scopes: ['https://www.googleapis.com/auth/drive.file']
+        })
+    });
+
+    return {
+        name: 'drive',
+
+        async save({ buffer, name, mimeType }) {
+            if (!folderId) {
+                throw httpError(500, 'Drive folder ID is not configured');
+            }
+
+            // Each attempt needs a fresh stream; only rate limits are retried
+            // since a failed upload may still have created the file
+            const response = await withRetry(() => drive.files.create({
+                resource: { name, parents: [folderId] },
+                media: { mimeType, body: Readable.from(buffer) },
+                fields: 'id, name, webViewLink, webContentLink'
+            }), { onlyRateLimits: true });
+            return { id: response.data.id, link: response.data.webViewLink };
+        },
+
+        async remove(id) {
+            try {
+                await withRetry(() => drive.files.delete({ fileId: id }));
+            } catch (err) {
+                // Already gone is as good as deleted
+                if (err.code !== 404) {
+                    throw err;
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createDriveImageStore };
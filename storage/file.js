@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('../utils/errors');
+
+function emptyStore() {
+    return {
+        inventory: [],
+        issuances: [],
+        receipts: [],
+        newItems: [],
+        tables: {}
+    };
+}
+
+// Storage adapter backed by a local JSON file, for offline development and
+// for keeping the API up when Google is unavailable
+function createFileStorage(filePath) {
+    const storePath = path.resolve(filePath || path.join(__dirname, '../data/inventory.json'));
+    let pending = Promise.resolve();
+
+    async function load() {
+        try {
+            const raw = await fs.promises.readFile(storePath, 'utf8');
+            return { ...emptyStore(), ...JSON.parse(raw) };
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return emptyStore();
+            }
+            throw err;
+        }
+    }
+
+    async function save(data) {
+        await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+        // Write to a temp file first so a crash never leaves a half-written store
+        const tempPath = `${storePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempPath, storePath);
+    }
+
+    // Writes are chained so two requests never read-modify-write the file at once
+    function mutate(fn) {
+        const result = pending.then(async () => {
+            const data = await load();
+            const value = await fn(data);
+            await save(data);
+            return value;
+        });
+        pending = result.catch(() => {});
+        return result;
+    }
+
+    // Row numbers mirror the sheet layout: row 1 is the header, data starts at row 2
+    function toItem(entry, i) {
+        return { row: i + 2, ...entry };
+    }
+
+    return {
+        name: 'file',
+
+        async listInventory() {
+            const data = await load();
+            return data.inventory.map(toItem);
+        },
+
+        async findItem(itemCode, location) {
+            const data = await load();
+            const index = data.inventory.findIndex(entry =>
+                entry['Item Code'] === itemCode && entry.Location === location
+            );
+            return index === -1 ? null : toItem(data.inventory[index], index);
+        },
+
+        // Refuses to overwrite a row whose Qty changed since `item` was read
+        updateQty(item, qty) {
+            return mutate(data => {
+                const entry = data.inventory[item.row - 2];
+                if (
+                    !entry ||
+                    entry['Item Code'] !== item['Item Code'] ||
+                    entry.Location !== item.Location ||
+                    (parseFloat(entry.Qty) || 0) !== (parseFloat(item.Qty) || 0)
+                ) {
+                    throw httpError(409, 'Inventory quantity changed since it was read, please retry');
+                }
+                entry.Qty = qty;
+                return toItem(entry, item.row - 2);
+            });
+        },
+
+        // Overwrites some columns of an Inventory row, as long as the row still
+        // holds the same item
+        updateItem(item, fields) {
+            return mutate(data => {
+                const entry = data.inventory[item.row - 2];
+                if (!entry || entry['Item Code'] !== item['Item Code'] || entry.Location !== item.Location) {
+                    throw httpError(409, 'Inventory row changed since it was read, please retry');
+                }
+                const { row, ...changes } = fields;
+                Object.assign(entry, changes);
+                return toItem(entry, item.row - 2);
+            });
+        },
+
+        async appendItem(entry) {
+            const [item] = await this.appendItems([entry]);
+            return item;
+        },
+
+        // Removes an Inventory row, as long as it still holds the same item;
+        // the rows below move up
+        deleteItem(item) {
+            return mutate(data => {
+                const entry = data.inventory[item.row - 2];
+                if (!entry || entry['Item Code'] !== item['Item Code'] || entry.Location !== item.Location) {
+                    throw httpError(409, 'Inventory row changed since it was read, please retry');
+                }
+                data.inventory.splice(item.row - 2, 1);
+            });
+        },
+
+        appendItems(entries) {
+            return mutate(data => entries.map(entry => {
+                const index = data.inventory.push({
+                    Location: entry.Location,
+                    'Item Code': entry['Item Code'],
+                    Description: entry.Description,
+                    UOM: entry.UOM,
+                    Qty: entry.Qty,
+                    Condition: entry.Condition,
+                    'Returnable Item': entry['Returnable Item'],
+                    Category: entry.Category,
+                    'Date Counted': entry['Date Counted'],
+                    'Image Link': entry['Image Link']
+                }) - 1;
+                return toItem(data.inventory[index], index);
+            }));
+        },
+
+        appendIssuance(record) {
+            return mutate(data => {
+                data.issuances.push(record);
+            });
+        },
+
+        appendReceipt(record) {
+            return mutate(data => {
+                data.receipts.push(record);
+            });
+        },
+
+        appendNewItem(record) {
+            return mutate(data => {
+                data.newItems.push(record);
+            });
+        },
+
+        updateNewItem(record) {
+            return mutate(data => {
+                const { row, ...fields } = record;
+                if (!data.newItems[row - 2]) {
+                    throw new Error(`New item row ${row} does not exist`);
+                }
+                data.newItems[row - 2] = fields;
+                return record;
+            });
+        },
+
+        async listLedger() {
+            const data = await load();
+            return {
+                issuances: data.issuances.map(toItem),
+                receipts: data.receipts.map(toItem),
+                newItems: data.newItems.map(toItem)
+            };
+        },
+
+        async listRecords(table) {
+            const data = await load();
+            return (data.tables[table] || []).map(toItem);
+        },
+
+        appendRecord(table, record) {
+            return mutate(data => {
+                const { row, ...fields } = record;
+                const rows = data.tables[table] || (data.tables[table] = []);
+                rows.push(fields);
+                return toItem(fields, rows.length - 1);
+            });
+        },
+
+        updateRecord(table, record) {
+            return mutate(data => {
+                const { row, ...fields } = record;
+                const rows = data.tables[table] || [];
+                if (!rows[row - 2]) {
+                    throw new Error(`${table} row ${row} does not exist`);
+                }
+                rows[row - 2] = fields;
+                return record;
+            });
+        },
+
+        // Removes rows of a record table; the rows below move up
+        deleteRecords(table, rowNumbers) {
+            return mutate(data => {
+                const doomed = new Set(rowNumbers);
+                data.tables[table] = (data.tables[table] || []).filter((fields, i) => !doomed.has(i + 2));
+            });
+        }
+    };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,61 @@
+const { connectSheetsClient, createSheetsStorage } = require('./sheets');
+const { resolveSheetSchema, SCHEMA_MISMATCH } = require('./sheetSchema');
+const { createFileStorage } = require('./file');
+const { createDriveImageStore } = require('./driveImages');
+const { createLocalImageStore } = require('./localImages');
+const { createCachedStorage } = require('./cache');
+
+const DEFAULT_CACHE_TTL_MS = 15000;
+
+// Picks the storage backend from STORAGE_BACKEND ('sheets' or 'file').
+// With STORAGE_FALLBACK=file the local store takes over when Sheets can't connect.
+async function connectStorage(env) {
+    const backend = env.STORAGE_BACKEND || 'sheets';
+
+    if (backend === 'file') {
+        return createFileStorage(env.STORAGE_FILE);
+    }
+
+    if (backend !== 'sheets') {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+
+    try {
+        const sheetsClient = await connectSheetsClient(env.GS_CRED);
+        const layout = await resolveSheetSchema(sheetsClient, env.SH_ID);
+        console.log('Connected to Google Sheets successfully');
+        return createSheetsStorage(sheetsClient, env.SH_ID, layout);
+    } catch (err) {
+        // A sheet that doesn't match the schema stops startup rather than
+        // falling back, as it needs fixing either way
+        if (env.STORAGE_FALLBACK !== 'file' || err.code === SCHEMA_MISMATCH) {
+            throw err;
+        }
+        console.error('Failed to connect to Google Sheets, falling back to local file storage:', err.message);
+        return createFileStorage(env.STORAGE_FILE);
+    }
+}
+
+// The chosen backend sits behind a read cache; CACHE_TTL_MS=0 turns caching off
+async function initStorage(env = process.env) {
+    const storage = await connectStorage(env);
+    const ttl = env.CACHE_TTL_MS !== undefined && env.CACHE_TTL_MS !== ''
+        ? parseInt(env.CACHE_TTL_MS, 10)
+        : DEFAULT_CACHE_TTL_MS;
+    return createCachedStorage(storage, ttl);
+}
+
+// Picks where uploaded images go from IMAGE_STORE ('drive' or 'local')
+function initImageStore(env = process.env) {
+    const store = env.IMAGE_STORE || 'drive';
+
+    if (store === 'drive') {
+        return createDriveImageStore(env.GS_CRED, env.DRIVE_FOLDER_ID);
+    }
+    if (store === 'local') {
+        return createLocalImageStore(env.IMAGE_DIR, env.IMAGE_BASE_URL);
+    }
+    throw new Error(`Unknown image store: ${store}`);
+}
+
+module.exports = { initStorage, initImageStore };
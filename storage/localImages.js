@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+
+// Image store that keeps files in a local directory, served by the app under
+// /images. Links are relative unless IMAGE_BASE_URL is set.
+function createLocalImageStore(directory, baseUrl = '') {
+    const dir = path.resolve(directory || path.join(__dirname, '../data/images'));
+    fs.mkdirSync(dir, { recursive: true });
+
+    return {
+        name: 'local',
+        dir,
+
+        async save({ buffer, mimeType }) {
+            const id = `${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[mimeType] || ''}`;
+            const tempPath = path.join(dir, `${id}.tmp`);
+            await fs.promises.writeFile(tempPath, buffer);
+            await fs.promises.rename(tempPath, path.join(dir, id));
+            return { id, link: `${baseUrl}/images/${id}` };
+        },
+
+        async remove(id) {
+            try {
+                await fs.promises.unlink(path.join(dir, path.basename(id)));
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+        }
+    };
+}
+
+module.exports = { createLocalImageStore };
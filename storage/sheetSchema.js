@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where each table lives in the spreadsheet, read from a JSON file
+// (SHEET_SCHEMA_CONFIG, config/sheetSchema.json by default). Every table names
+// its tab, the row holding its headers, the column it starts at and, for each
+// field the code uses, the header of the column holding it:
+//   { "inventory": { "tab": "Inventory", "headerRow": 1, "startColumn": "A",
+//                    "fields": { "Image Link": "Photo", ... } }, ... }
+// Tables sharing a tab, like the three ledger blocks of Form Responses, end
+// where the next one starts. Columns are found by header when the storage
+// connects, so columns can be added or reordered without code changes.
+// "optionalFields" has the same shape as "fields", for columns a sheet may
+// leave out. Ledger fields without a column are kept in a tab of their own
+// instead; see sheets.js.
+const TABLES = ['inventory', 'issuances', 'receipts', 'newItems'];
+
+// Error code of a schema that doesn't fit the config or the spreadsheet
+const SCHEMA_MISMATCH = 'SHEET_SCHEMA_MISMATCH';
+
+function schemaError(message, problems) {
+    const err = new Error(`${message}:\n  ${problems.join('\n  ')}`);
+    err.code = SCHEMA_MISMATCH;
+    return err;
+}
+
+function loadSchemaConfig() {
+    const configPath = process.env.SHEET_SCHEMA_CONFIG || path.join(__dirname, '../config/sheetSchema.json');
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+// Utility function to convert column index to letter (supports multiple letters)
+function getColumnLetter(colIndex) {
+    let letter = '';
+    while (colIndex >= 0) {
+        letter = String.fromCharCode((colIndex % 26) + 65) + letter;
+        colIndex = Math.floor(colIndex / 26) - 1;
+    }
+    return letter;
+}
+
+function getColumnIndex(letter) {
+    return letter.toUpperCase().split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+function headerRange(tab, headerRow) {
+    return `${tab}!${headerRow}:${headerRow}`;
+}
+
+// Where a table's columns end: just before the next table on the same tab
+function spanEnd(config, name, start, headers) {
+    const { tab } = config[name];
+    return TABLES
+        .filter(other => other !== name && config[other].tab === tab)
+        .map(other => getColumnIndex(config[other].startColumn || 'A'))
+        .filter(otherStart => otherStart > start)
+        .reduce((end, otherStart) => Math.min(end, otherStart), headers.length);
+}
+
+// Locates the columns of one table in its header row, adding a line to
+// `problems` for every field that can't be placed
+function resolveTable(config, name, headers, problems) {
+    const { tab, headerRow = 1, startColumn = 'A', fields, optionalFields = {} } = config[name];
+    const start = getColumnIndex(startColumn);
+    let end = spanEnd(config, name, start, headers);
+    while (end > start && String(headers[end - 1] || '').trim() === '') {
+        end -= 1;
+    }
+
+    const span = headers.slice(start, end).map(header => String(header || '').trim());
+    const where = `${name} (${tab}!${startColumn}${headerRow}:${getColumnLetter(Math.max(end - 1, start))}${headerRow})`;
+    const columns = {};
+
+    const placeField = (field, header, optional) => {
+        const matches = span.reduce((found, cell, i) => (cell === header ? [...found, start + i] : found), []);
+        if (matches.length === 0) {
+            if (!optional) {
+                problems.push(`${where}: no column headed '${header}' for ${field}`);
+            }
+        } else if (matches.length > 1) {
+            problems.push(`${where}: '${header}' heads ${matches.length} columns (${matches.map(getColumnLetter).join(', ')})`);
+        } else {
+            columns[field] = matches[0];
+        }
+    };
+    Object.entries(fields).forEach(([field, header]) => placeField(field, header, false));
+    Object.entries(optionalFields).forEach(([field, header]) => placeField(field, header, true));
+
+    const mapped = [...Object.values(fields), ...Object.values(optionalFields)];
+    const unmapped = span.filter(cell => cell !== '' && !mapped.includes(cell));
+    if (unmapped.length > 0) {
+        console.warn(`Sheet schema: ${where} has columns no field maps to, which writes leave alone: ${unmapped.join(', ')}`);
+    }
+
+    return {
+        name,
+        tab,
+        headerRow,
+        start,
+        end,
+        columns,
+        headers: span,
+        startLetter: startColumn,
+        endLetter: getColumnLetter(Math.max(end - 1, start))
+    };
+}
+
+// Reads the header rows and works out every table's columns. Mismatches are
+// collected and reported together so a broken sheet can be fixed in one go.
+async function resolveSheetSchema(sheetsClient, spreadsheetId, config = loadSchemaConfig()) {
+    const problems = [];
+    TABLES.filter(name => !config[name] || !config[name].tab || !config[name].fields)
+        .forEach(name => problems.push(`${name}: missing from the schema config, or without tab and fields`));
+    if (problems.length > 0) {
+        throw schemaError('Invalid sheet schema config', problems);
+    }
+
+    const ranges = [...new Set(TABLES.map(name => headerRange(config[name].tab, config[name].headerRow || 1)))];
+    const response = await sheetsClient.spreadsheets.values.batchGet({ spreadsheetId, ranges });
+    const headerRows = new Map(ranges.map((range, i) => [range, (response.data.valueRanges[i].values || [])[0] || []]));
+
+    const layout = {};
+    TABLES.forEach(name => {
+        const headers = headerRows.get(headerRange(config[name].tab, config[name].headerRow || 1));
+        layout[name] = resolveTable(config, name, headers, problems);
+    });
+
+    if (problems.length > 0) {
+        throw schemaError('Spreadsheet does not match the sheet schema', problems);
+    }
+    return layout;
+}
+
+// True when a freshly read header row still has the table's columns where the
+// layout expects them
+function headersMatch(table, headers) {
+    const span = headers.slice(table.start, table.end).map(header => String(header || '').trim());
+    return table.headers.every((header, i) => span[i] === header);
+}
+
+// Record of a data row, the row given from the table's first column on
+function toRecord(table, values, rowNumber) {
+    const record = { row: rowNumber };
+    Object.entries(table.columns).forEach(([field, column]) => {
+        record[field] = values[column - table.start] ?? '';
+    });
+    return record;
+}
+
+// Values to write for a record, over the table's whole width. Columns no
+// field maps to keep what `current` holds.
+function toRow(table, record, current = []) {
+    const values = Array.from({ length: table.end - table.start }, (_, i) => current[i] ?? '');
+    Object.entries(table.columns).forEach(([field, column]) => {
+        if (record[field] !== undefined) {
+            values[column - table.start] = record[field];
+        }
+    });
+    return values;
+}
+
+function isBlankRow(table, values) {
+    return Object.values(table.columns).every(column => String(values[column - table.start] ?? '').trim() === '');
+}
+
+module.exports = {
+    SCHEMA_MISMATCH,
+    getColumnLetter,
+    resolveSheetSchema,
+    headersMatch,
+    toRecord,
+    toRow,
+    isBlankRow
+};
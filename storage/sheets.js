@@ -0,0 +1,403 @@
+const { google } = require('googleapis');
+const { httpError } = require('../utils/errors');
+const { withLock } = require('../utils/lock');
+const { withRetries } = require('../utils/retry');
+const {
+    getColumnLetter,
+    headersMatch,
+    toRecord,
+    toRow,
+    isBlankRow
+} = require('./sheetSchema');
+
+// How each ledger block picks the row for a new record: issuances and new
+// items reuse the first blank row, receipts always go below the last one
+const APPEND_BELOW_LAST = ['receipts'];
+
+// Fields of a ledger record that its block has no column for, such as Cost of
+// Goods Issued, are kept in this tab instead, keyed by block, row and
+// timestamp like reviews of new items, and merged back in when the ledger is
+// read. The Form Responses blocks sit side by side, so there is often no room
+// for another column.
+const LEDGER_DETAILS_TAB = 'Ledger Details';
+
+function detailsKey(block, row, timestamp) {
+    return `${block}|${row}|${timestamp}`;
+}
+
+function sameQty(a, b) {
+    return (parseFloat(a) || 0) === (parseFloat(b) || 0);
+}
+
+// Row number written by a values.append call; updatedRange looks like 'Inventory!A5:J5'
+function appendedRow(response) {
+    const updatedRange = response.data.updates ? response.data.updates.updatedRange : '';
+    const match = /![A-Z]+(\d+)/.exec(updatedRange || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Header-keyed record of a row in a record table
+function toItem(headers, row, rowNumber) {
+    const item = { row: rowNumber };
+    headers.forEach((header, i) => {
+        item[header] = row[i] || '';
+    });
+    return item;
+}
+
+async function connectSheetsClient(keyFile) {
+    const auth = new google.auth.GoogleAuth({
+        keyFile,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    });
+
+    const authClient = await auth.getClient();
+    return withRetries(google.sheets({ version: 'v4', auth: authClient }));
+}
+
+// Storage adapter backed by the Inventory and Form Responses tabs of a
+// spreadsheet. `layout` places every field in the sheet; see sheetSchema.js.
+function createSheetsStorage(sheetsClient, spreadsheetId, layout) {
+    const { inventory } = layout;
+
+    // Range of a table's columns over some rows; `to` left out runs to the end
+    function tableRange(table, from, to = '') {
+        return `${table.tab}!${table.startLetter}${from}:${table.endLetter}${to}`;
+    }
+
+    function checkHeaders(table, headers) {
+        if (!headersMatch(table, headers || [])) {
+            throw httpError(500, `Headers of ${table.name} changed since the server started, restart it to reload the sheet schema`);
+        }
+    }
+
+    // Reads some rows of a table along with its header row, failing when the
+    // headers moved since the layout was worked out
+    async function readChecked(table, from, to) {
+        const response = await sheetsClient.spreadsheets.values.batchGet({
+            spreadsheetId,
+            ranges: [`${table.tab}!${table.headerRow}:${table.headerRow}`, tableRange(table, from, to)]
+        });
+        const [headerValues, rowValues] = response.data.valueRanges;
+        checkHeaders(table, (headerValues.values || [])[0]);
+        return rowValues.values || [];
+    }
+
+    // A table's header row and every row below it, from column A so header
+    // positions can be checked
+    function wholeTableRange(table) {
+        return `${table.tab}!A${table.headerRow}:${table.endLetter}`;
+    }
+
+    function toRecords(table, values) {
+        const [headers, ...rows] = values || [];
+        checkHeaders(table, headers);
+        return rows.map((row, i) => toRecord(table, row.slice(table.start), i + table.headerRow + 1));
+    }
+
+    async function readTable(table) {
+        const response = await sheetsClient.spreadsheets.values.get({
+            spreadsheetId,
+            range: wholeTableRange(table)
+        });
+        return toRecords(table, response.data.values);
+    }
+
+    // Records of one ledger block, skipping blank rows
+    function toLedgerRecords(table, values) {
+        return toRecords(table, values)
+            .filter(record => Object.keys(table.columns).some(field => record[field].toString().trim() !== ''));
+    }
+
+    // Row a new record of a ledger block goes to
+    async function nextLedgerRow(table) {
+        const firstRow = table.headerRow + 1;
+        const rows = await readChecked(table, firstRow);
+
+        if (APPEND_BELOW_LAST.includes(table.name)) {
+            let lastRow = table.headerRow;
+            rows.forEach((row, i) => {
+                if (!isBlankRow(table, row)) {
+                    lastRow = i + firstRow;
+                }
+            });
+            return lastRow + 1;
+        }
+
+        const blank = rows.findIndex(row => isBlankRow(table, row));
+        return (blank === -1 ? rows.length : blank) + firstRow;
+    }
+
+    // Ledger writes pick their target row before writing it, so each block
+    // stays locked until the row is filled. Details go first: a write cut
+    // short between the two is redone, and details without their row are
+    // never matched to anything.
+    function appendLedger(table, record) {
+        return withLock(`sheets:${table.name}`, async () => {
+            const rowNumber = await nextLedgerRow(table);
+            console.log(`Next row for ${table.name} in ${table.tab}: ${rowNumber}`);
+
+            const details = Object.keys(record).filter(field => field !== 'row' && !(field in table.columns));
+            if (details.length > 0) {
+                await appendRecord(LEDGER_DETAILS_TAB, {
+                    Block: table.name,
+                    Row: rowNumber,
+                    Timestamp: record.Timestamp,
+                    ...Object.fromEntries(details.map(field => [field, record[field]]))
+                });
+            }
+            await updateRow(tableRange(table, rowNumber, rowNumber), toRow(table, record));
+        });
+    }
+
+    // Ledger records with the fields kept for them in the details tab
+    async function withLedgerDetails(ledger) {
+        const byKey = new Map();
+        (await listRecords(LEDGER_DETAILS_TAB)).forEach(({ row, Block, Row, Timestamp, ...fields }) => {
+            byKey.set(detailsKey(Block, Row, Timestamp), { ...byKey.get(detailsKey(Block, Row, Timestamp)), ...fields });
+        });
+
+        const merged = {};
+        Object.entries(ledger).forEach(([block, records]) => {
+            merged[block] = records.map(record => {
+                const fields = byKey.get(detailsKey(block, String(record.row), record.Timestamp)) || {};
+                // The tab has a column for every detail of every block, so
+                // only the ones that hold something belong to this record
+                const filled = Object.entries(fields).filter(([, value]) => value !== '');
+                return { ...record, ...Object.fromEntries(filled) };
+            });
+        });
+        return merged;
+    }
+
+    // Tabs that are known to exist, so record tables are only created once
+    const knownTabs = new Set();
+
+    async function ensureTab(tab) {
+        if (knownTabs.has(tab)) {
+            return;
+        }
+
+        const response = await sheetsClient.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties.title'
+        });
+        const titles = (response.data.sheets || []).map(sheet => sheet.properties.title);
+
+        if (!titles.includes(tab)) {
+            await sheetsClient.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: { requests: [{ addSheet: { properties: { title: tab } } }] }
+            });
+        }
+        titles.forEach(title => knownTabs.add(title));
+        knownTabs.add(tab);
+    }
+
+    // Header row of a record table, extended with any fields the record introduces
+    async function recordHeaders(tab, record) {
+        const response = await sheetsClient.spreadsheets.values.get({
+            spreadsheetId,
+            range: `${tab}!1:1`
+        });
+        const headers = (response.data.values || [])[0] || [];
+        const missing = Object.keys(record).filter(key => key !== 'row' && !headers.includes(key));
+
+        if (missing.length > 0) {
+            headers.push(...missing);
+            await updateRow(`${tab}!A1:${getColumnLetter(headers.length - 1)}1`, headers);
+        }
+        return headers;
+    }
+
+    async function listRecords(tab) {
+        await ensureTab(tab);
+        const response = await sheetsClient.spreadsheets.values.get({
+            spreadsheetId,
+            range: tab
+        });
+
+        const rows = response.data.values || [];
+        if (rows.length === 0) {
+            return [];
+        }
+        return rows.slice(1).map((row, i) => toItem(rows[0], row, i + 2));
+    }
+
+    async function appendRecord(tab, record) {
+        await ensureTab(tab);
+        const headers = await recordHeaders(tab, record);
+
+        const response = await sheetsClient.spreadsheets.values.append({
+            spreadsheetId,
+            range: `${tab}!A:${getColumnLetter(headers.length - 1)}`,
+            valueInputOption: 'USER_ENTERED',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: [headers.map(header => record[header] ?? '')] }
+        });
+
+        return { ...record, row: appendedRow(response) };
+    }
+
+    async function updateRow(range, values) {
+        await sheetsClient.spreadsheets.values.update({
+            spreadsheetId,
+            range,
+            valueInputOption: 'USER_ENTERED',
+            resource: { values: [values] }
+        });
+    }
+
+    // Removes rows of a tab in one call. Rows go bottom first so each index is
+    // still valid when it's applied.
+    async function deleteRows(tab, rowNumbers) {
+        const response = await sheetsClient.spreadsheets.get({
+            spreadsheetId,
+            fields: 'sheets.properties(sheetId,title)'
+        });
+        const sheet = (response.data.sheets || []).find(candidate => candidate.properties.title === tab);
+        const rows = [...new Set(rowNumbers)].sort((a, b) => b - a);
+        if (!sheet || rows.length === 0) {
+            return;
+        }
+
+        await sheetsClient.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: rows.map(row => ({
+                    deleteDimension: {
+                        range: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', startIndex: row - 1, endIndex: row }
+                    }
+                }))
+            }
+        });
+    }
+
+    // Current contents of an Inventory row, failing when it no longer holds `item`
+    async function readItemRow(item, message) {
+        const [values = []] = await readChecked(inventory, item.row, item.row);
+        const current = toRecord(inventory, values, item.row);
+        if (current['Item Code'] !== item['Item Code'] || current.Location !== item.Location) {
+            throw httpError(409, message);
+        }
+        return { current, values };
+    }
+
+    return {
+        name: 'sheets',
+
+        async listInventory() {
+            return readTable(inventory);
+        },
+
+        async findItem(itemCode, location) {
+            const items = await readTable(inventory);
+            return items.find(item => item['Item Code'] === itemCode && item.Location === location) || null;
+        },
+
+        // Re-reads the row before writing so a Qty changed by someone else since
+        // `item` was read is reported as a conflict instead of being overwritten
+        async updateQty(item, qty) {
+            const message = 'Inventory quantity changed since it was read, please retry';
+            const { current } = await readItemRow(item, message);
+            if (!sameQty(current.Qty, item.Qty)) {
+                throw httpError(409, message);
+            }
+
+            await updateRow(`${inventory.tab}!${getColumnLetter(inventory.columns.Qty)}${item.row}`, [qty]);
+            return { ...item, Qty: qty };
+        },
+
+        // Overwrites some columns of an Inventory row, as long as the row still
+        // holds the same item. The rest of the row is written back as just read.
+        async updateItem(item, fields) {
+            const { current, values } = await readItemRow(item, 'Inventory row changed since it was read, please retry');
+
+            const { row, ...changes } = fields;
+            const updated = { ...current, ...changes };
+            await updateRow(tableRange(inventory, item.row, item.row), toRow(inventory, updated, values));
+            return updated;
+        },
+
+        async appendItem(entry) {
+            const [item] = await this.appendItems([entry]);
+            return item;
+        },
+
+        // Removes an Inventory row, as long as it still holds the same item
+        async deleteItem(item) {
+            await readItemRow(item, 'Inventory row changed since it was read, please retry');
+            await deleteRows(inventory.tab, [item.row]);
+        },
+
+        // Appends several Inventory rows with a single API call
+        async appendItems(entries) {
+            const response = await sheetsClient.spreadsheets.values.append({
+                spreadsheetId,
+                range: `${inventory.tab}!${inventory.startLetter}:${inventory.endLetter}`,
+                valueInputOption: 'USER_ENTERED',
+                insertDataOption: 'INSERT_ROWS',
+                resource: { values: entries.map(entry => toRow(inventory, entry)) }
+            });
+
+            const firstRow = appendedRow(response);
+            return entries.map((entry, i) => ({ ...entry, row: firstRow === null ? null : firstRow + i }));
+        },
+
+        appendIssuance(record) {
+            return appendLedger(layout.issuances, record);
+        },
+
+        appendReceipt(record) {
+            return appendLedger(layout.receipts, record);
+        },
+
+        appendNewItem(record) {
+            return appendLedger(layout.newItems, record);
+        },
+
+        async updateNewItem(record) {
+            const table = layout.newItems;
+            const [values = []] = await readChecked(table, record.row, record.row);
+            await updateRow(tableRange(table, record.row, record.row), toRow(table, record, values));
+            return record;
+        },
+
+        async listLedger() {
+            const tables = [layout.issuances, layout.receipts, layout.newItems];
+            const response = await sheetsClient.spreadsheets.values.batchGet({
+                spreadsheetId,
+                ranges: tables.map(wholeTableRange)
+            });
+            const [issuances, receipts, newItems] = response.data.valueRanges.map((range, i) =>
+                toLedgerRecords(tables[i], range.values)
+            );
+
+            return withLedgerDetails({ issuances, receipts, newItems });
+        },
+
+        listRecords,
+
+        appendRecord,
+
+        async updateRecord(tab, record) {
+            await ensureTab(tab);
+            const headers = await recordHeaders(tab, record);
+            const lastColumn = getColumnLetter(headers.length - 1);
+
+            await updateRow(
+                `${tab}!A${record.row}:${lastColumn}${record.row}`,
+                headers.map(header => record[header] ?? '')
+            );
+            return record;
+        },
+
+        // Removes rows of a record table in one call; the rows below move up
+        async deleteRecords(tab, rowNumbers) {
+            await ensureTab(tab);
+            await deleteRows(tab, rowNumbers);
+        }
+    };
+}
+
+module.exports = { connectSheetsClient, createSheetsStorage };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer } = require('./support');
+
+function issue(server, qty) {
+    return server.request('POST', '/inventory/issue', { itemCode: 'X1', location: 'A', issuanceQty: qty, activity: 'Test' });
+}
+
+function receive(server, qty) {
+    return server.request('POST', '/inventory/receive', { itemCode: 'X1', location: 'A', receiptQty: qty });
+}
+
+test('simultaneous issues and receipts of one item all land', async () => {
+    const server = await startServer();
+    try {
+        const responses = await Promise.all([
+            ...Array.from({ length: 10 }, () => issue(server, 1)),
+            ...Array.from({ length: 10 }, () => receive(server, 2))
+        ]);
+
+        assert.deepStrictEqual(responses.map(response => response.status), Array(20).fill(200));
+        const store = server.readStore();
+        assert.strictEqual(store.inventory[0].Qty, 10 - 10 + 20);
+        assert.strictEqual(store.issuances.length, 10);
+        assert.strictEqual(store.receipts.length, 10);
+    } finally {
+        await server.close();
+    }
+});
+
+test('simultaneous issues never take Qty below zero', async () => {
+    const server = await startServer();
+    try {
+        const responses = await Promise.all(Array.from({ length: 15 }, () => issue(server, 1)));
+
+        const statuses = responses.map(response => response.status);
+        assert.strictEqual(statuses.filter(status => status === 200).length, 10);
+        assert.strictEqual(statuses.filter(status => status === 400).length, 5);
+        assert.strictEqual(server.readStore().inventory[0].Qty, 0);
+        assert.strictEqual(server.readStore().issuances.length, 10);
+    } finally {
+        await server.close();
+    }
+});
+
+test('issue is rejected with 409 when Qty changed after it was read', async () => {
+    // Another writer (a sheet user, say) changes Qty between the read and the write
+    const server = await startServer({
+        wrap: storage => ({
+            ...storage,
+            async findItem(itemCode, location) {
+                const item = await storage.findItem(itemCode, location);
+                const store = JSON.parse(fs.readFileSync(server.storePath, 'utf8'));
+                store.inventory[0].Qty = 7;
+                fs.writeFileSync(server.storePath, JSON.stringify(store));
+                return item;
+            }
+        })
+    });
+    try {
+        const response = await issue(server, 1);
+
+        assert.strictEqual(response.status, 409);
+        assert.match(response.body.error, /changed since it was read/);
+        assert.strictEqual(server.readStore().inventory[0].Qty, 7);
+        assert.strictEqual(server.readStore().issuances.length, 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('file backend refuses a Qty write based on a stale read', async () => {
+    const server = await startServer();
+    try {
+        const stale = await server.fileStorage.findItem('X1', 'A');
+        await server.fileStorage.updateQty(stale, 5);
+
+        await assert.rejects(server.fileStorage.updateQty(stale, 3), err => err.status === 409);
+        assert.strictEqual(server.readStore().inventory[0].Qty, 5);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+// X1 at A starts with 10 on hand and no cost; this adds 10 at 2.00 each
+async function receiveCosted(server) {
+    const received = await server.request('POST', '/inventory/receive', { itemCode: 'X1', location: 'A', receiptQty: 10, unitCost: 2 });
+    assert.strictEqual(received.status, 200, JSON.stringify(received.body));
+}
+
+async function valuation(server, location) {
+    const report = await server.request('GET', `/inventory/valuation?location=${location}`);
+    const { Qty, 'Costed Qty': costedQty, Value } = report.body.total;
+    return { Qty, costedQty, Value };
+}
+
+test('a reversed receipt takes its stock back out of its cost layer', async () => {
+    const server = await startServer();
+    try {
+        await receiveCosted(server);
+        const reversed = await server.request('POST', '/inventory/transactions/receipt-2/reverse', { reason: 'Wrong item' }, server.tokens.admin);
+        assert.strictEqual(reversed.status, 200, JSON.stringify(reversed.body));
+
+        assert.deepStrictEqual(await valuation(server, 'A'), { Qty: 10, costedQty: 0, Value: 0 });
+    } finally {
+        await server.close();
+    }
+});
+
+test('a reversed issuance puts back what it took from the cost layers', async () => {
+    const server = await startServer();
+    try {
+        await receiveCosted(server);
+        const issued = await server.request('POST', '/inventory/issue', { itemCode: 'X1', location: 'A', issuanceQty: 15, activity: 'Workshop' });
+        assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+        assert.deepStrictEqual(await valuation(server, 'A'), { Qty: 5, costedQty: 5, Value: 10 });
+
+        const reversed = await server.request('POST', '/inventory/transactions/issuance-2/reverse', { reason: 'Entered twice' }, server.tokens.admin);
+        assert.strictEqual(reversed.status, 200, JSON.stringify(reversed.body));
+
+        assert.deepStrictEqual(await valuation(server, 'A'), { Qty: 20, costedQty: 10, Value: 20 });
+    } finally {
+        await server.close();
+    }
+});
+
+test('transferred stock takes its cost to the destination', async () => {
+    const server = await startServer();
+    try {
+        await receiveCosted(server);
+        const moved = await server.request('POST', '/inventory/transfer', { itemCode: 'X1', transferQty: 15, fromLocation: 'A', toLocation: 'C' });
+        assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+
+        assert.deepStrictEqual(await valuation(server, 'A'), { Qty: 5, costedQty: 5, Value: 10 });
+        assert.deepStrictEqual(await valuation(server, 'C'), { Qty: 15, costedQty: 5, Value: 10 });
+    } finally {
+        await server.close();
+    }
+});
+
+test('an item moved to another location keeps its cost', async () => {
+    const server = await startServer();
+    try {
+        await receiveCosted(server);
+        const moved = await server.request('PATCH', '/inventory/items/X1?location=A', { location: 'C' }, server.tokens.admin);
+        assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+
+        assert.deepStrictEqual(await valuation(server, 'C'), { Qty: 20, costedQty: 10, Value: 20 });
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+const { issueStreamToken } = require('../middlewares/auth');
+
+// Opens the stream and hangs up as soon as the response starts
+async function openStream(server, query, headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}/inventory/events${query}`, { headers, signal: controller.signal });
+    controller.abort();
+    return response;
+}
+
+test('the event stream opens with a stream token in the query string', async () => {
+    const server = await startServer();
+    try {
+        const token = issueStreamToken({ username: 'viewer-user', role: 'viewer' });
+        const response = await openStream(server, `?access_token=${token}`);
+        assert.strictEqual(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('login tokens are not taken from the query string and stream tokens open nothing else', async () => {
+    const server = await startServer();
+    try {
+        const login = await openStream(server, `?access_token=${server.tokens.viewer}`);
+        assert.strictEqual(login.status, 401);
+
+        const token = issueStreamToken({ username: 'viewer-user', role: 'viewer' });
+        const search = await server.request('GET', '/inventory/search', null, token);
+        assert.strictEqual(search.status, 401);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { setTimeout: sleep } = require('timers/promises');
+const express = require('express');
+const ExcelJS = require('exceljs');
+const { sendExport } = require('../services/exporter');
+const { startServer } = require('./support');
+
+const ROWS = Array.from({ length: 20000 }, (_, i) => ({ Code: `X${i}`, Description: 'Hammer '.repeat(8) }));
+
+// Serves one export and hands back the promise sendExport returned
+async function serveExport(format) {
+    let exported;
+    const app = express();
+    app.get('/', (req, res) => {
+        exported = sendExport(res, { format, columns: ['Code', 'Description'], rows: ROWS, title: 'Items', filename: 'items' });
+        exported.catch(() => {});
+    });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    return {
+        url: `http://localhost:${server.address().port}/`,
+        exported: () => exported,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('an xlsx export fails when the client goes away mid-download', async () => {
+    const server = await serveExport('xlsx');
+    try {
+        await new Promise(resolve => {
+            const req = http.get(server.url, res => res.once('data', () => {
+                req.destroy();
+                resolve();
+            }));
+            req.on('error', () => {});
+        });
+
+        const outcome = await Promise.race([
+            server.exported().then(() => 'finished', err => err.code),
+            sleep(5000, 'still waiting', { ref: false })
+        ]);
+        assert.strictEqual(outcome, 'ERR_STREAM_PREMATURE_CLOSE');
+    } finally {
+        await server.close();
+    }
+});
+
+test('an xlsx export holds every row', async () => {
+    const server = await serveExport('xlsx');
+    try {
+        const response = await fetch(server.url);
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(Buffer.from(await response.arrayBuffer()));
+        await server.exported();
+
+        const sheet = workbook.getWorksheet('Items');
+        assert.strictEqual(sheet.rowCount, ROWS.length + 1);
+        assert.strictEqual(sheet.getRow(ROWS.length + 1).getCell(1).value, `X${ROWS.length - 1}`);
+    } finally {
+        await server.close();
+    }
+});
+
+test('exports reject options given more than once', async () => {
+    const server = await startServer();
+    try {
+        for (const query of ['format=csv&format=pdf', 'columns=Type&columns=Qty', 'keyword=a&keyword=b']) {
+            const response = await server.request('GET', `/inventory/transactions/export?${query}`);
+            assert.strictEqual(response.status, 400, `${query}: ${JSON.stringify(response.body)}`);
+        }
+        const inventory = await server.request('GET', '/inventory/export?format=csv&format=xlsx');
+        assert.strictEqual(inventory.status, 400, JSON.stringify(inventory.body));
+    } finally {
+        await server.close();
+    }
+});
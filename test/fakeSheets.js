@@ -0,0 +1,136 @@
+const { getColumnLetter } = require('../storage/sheetSchema');
+
+// In-memory stand-in for the parts of the Sheets API client the storage
+// adapter uses. `tabs` maps tab titles to rows of cell values.
+
+function columnIndex(letters) {
+    return letters.split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Parses ranges like 'Tab', 'Tab!1:1', 'Tab!A:J', 'Tab!K2:S' and 'Tab!A5:J5'
+function parseRange(range) {
+    const [tab, ref = ''] = range.split('!');
+    const [from = '', to = from] = ref.split(':');
+    const cell = text => {
+        const [, letters = '', digits = ''] = /^([A-Z]*)(\d*)$/.exec(text);
+        return { column: letters ? columnIndex(letters) : null, row: digits ? parseInt(digits, 10) : null };
+    };
+    const start = cell(from);
+    const end = cell(to);
+    return {
+        tab,
+        firstColumn: start.column ?? 0,
+        lastColumn: end.column ?? Infinity,
+        firstRow: start.row ?? 1,
+        lastRow: end.row
+    };
+}
+
+function createFakeSheets(tabs) {
+    function grid(tab) {
+        if (!tabs[tab]) {
+            throw Object.assign(new Error(`Unable to parse range: ${tab}`), { code: 400 });
+        }
+        return tabs[tab];
+    }
+
+    // Trailing blank cells and rows are left out, as Google does
+    function read(range) {
+        const { tab, firstColumn, lastColumn, firstRow, lastRow } = parseRange(range);
+        const rows = grid(tab);
+        const values = [];
+        for (let row = firstRow; row <= (lastRow ?? rows.length); row++) {
+            const cells = (rows[row - 1] || []).slice(firstColumn, lastColumn + 1).map(value => String(value ?? ''));
+            while (cells.length > 0 && cells[cells.length - 1] === '') {
+                cells.pop();
+            }
+            values.push(cells);
+        }
+        while (values.length > 0 && values[values.length - 1].length === 0) {
+            values.pop();
+        }
+        return values;
+    }
+
+    const values = {
+        async get({ range }) {
+            return { data: { values: read(range) } };
+        },
+
+        async batchGet({ ranges }) {
+            return { data: { valueRanges: ranges.map(range => ({ range, values: read(range) })) } };
+        },
+
+        async update({ range, resource }) {
+            const { tab, firstColumn, firstRow } = parseRange(range);
+            const rows = grid(tab);
+            resource.values.forEach((cells, i) => {
+                rows[firstRow - 1 + i] = rows[firstRow - 1 + i] || [];
+                cells.forEach((value, j) => {
+                    rows[firstRow - 1 + i][firstColumn + j] = value;
+                });
+            });
+            return { data: {} };
+        },
+
+        async append({ range, resource }) {
+            const { tab, firstColumn } = parseRange(range);
+            const rows = grid(tab);
+            const firstRow = rows.length + 1;
+            resource.values.forEach(cells => {
+                const row = [];
+                cells.forEach((value, j) => {
+                    row[firstColumn + j] = value;
+                });
+                rows.push(row);
+            });
+            const letter = getColumnLetter(firstColumn);
+            return { data: { updates: { updatedRange: `${tab}!${letter}${firstRow}:${letter}${rows.length}` } } };
+        }
+    };
+
+    return {
+        tabs,
+        spreadsheets: {
+            async get() {
+                return { data: { sheets: Object.keys(tabs).map((title, sheetId) => ({ properties: { sheetId, title } })) } };
+            },
+
+            async batchUpdate({ resource }) {
+                const titles = Object.keys(tabs);
+                resource.requests.forEach(request => {
+                    if (request.addSheet) {
+                        tabs[request.addSheet.properties.title] = [];
+                    }
+                    if (request.deleteDimension) {
+                        const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+                        tabs[titles[sheetId]].splice(startIndex, endIndex - startIndex);
+                    }
+                });
+                return { data: {} };
+            },
+
+            values
+        }
+    };
+}
+
+// Tabs laid out as the default sheet schema expects, with the ledger blocks
+// of Form Responses side by side and no room for other columns
+function defaultTabs(inventory) {
+    const itemHeaders = ['Location', 'Item Code', 'Description', 'UOM', 'Qty', 'Condition', 'Returnable Item', 'Category', 'Date Counted', 'Image Link'];
+    const issuanceHeaders = ['Timestamp', 'Item Code', 'Issuance Qty', 'Location', 'Description', 'Returnable Item', 'Issued by', 'Activity', 'Notes/Comments', 'Image Link'];
+    const receiptHeaders = ['Timestamp', 'Item Code', 'Receipt Qty', 'Location', 'Description', 'Returnable Item', 'Received by', 'Notes/Comments', 'Image Link'];
+    const newItemHeaders = ['Timestamp', 'Receipt Qty', 'Location', 'Description', 'Returnable Item', 'Received by', 'Notes/Comments', 'Image Link'];
+
+    // Receipts keep their headers on row 2, under the issuance rows' header
+    const firstRow = [...issuanceHeaders, ...Array(receiptHeaders.length).fill(''), ...newItemHeaders];
+    const secondRow = [...Array(issuanceHeaders.length).fill(''), ...receiptHeaders];
+
+    return {
+        Inventory: [itemHeaders, ...inventory.map(item => itemHeaders.map(header => String(item[header] ?? '')))],
+        'Form Responses': [firstRow, secondRow]
+    };
+}
+
+module.exports = { createFakeSheets, defaultTabs };
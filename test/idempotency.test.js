@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { startServer } = require('./support');
+
+const KEYS_TABLE = 'Idempotency Keys';
+
+function receive(server, key) {
+    return fetch(`${server.baseUrl}/inventory/receive`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${server.tokens.clerk}`,
+            'Idempotency-Key': key
+        },
+        body: JSON.stringify({ itemCode: 'X1', location: 'A', receiptQty: 1 })
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+// Turns the stored response of `key` into the 202 of a queued write
+function storeAsQueued(server, key, jobId) {
+    const store = server.readStore();
+    const saved = store.tables[KEYS_TABLE].find(entry => entry.Key === key);
+    const body = JSON.parse(saved.Response);
+    saved['Status Code'] = 202;
+    saved.Response = JSON.stringify({ ...body, message: 'queued', transaction: { id: jobId, status: 'pending' } });
+    fs.writeFileSync(server.storePath, JSON.stringify(store));
+}
+
+test('expired idempotency keys are pruned when a new key is stored', async () => {
+    const server = await startServer();
+    try {
+        const store = server.readStore();
+        store.tables[KEYS_TABLE] = [
+            { Key: 'old', 'Request Hash': 'x', 'Status Code': 200, Response: '{}', 'Created At': '2000-01-01T00:00:00.000Z' }
+        ];
+        fs.writeFileSync(server.storePath, JSON.stringify(store));
+
+        assert.strictEqual((await receive(server, 'new')).status, 200);
+        assert.deepStrictEqual(server.readStore().tables[KEYS_TABLE].map(entry => entry.Key), ['new']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a replayed 202 reports how the queued write stands now', async () => {
+    const server = await startServer();
+    try {
+        await receive(server, 'done');
+        storeAsQueued(server, 'done', 'gone-job');
+        const done = await receive(server, 'done');
+        assert.strictEqual(done.status, 200);
+        assert.strictEqual(done.body.transaction.status, 'committed');
+
+        await receive(server, 'broken');
+        storeAsQueued(server, 'broken', 'failed-job');
+        fs.writeFileSync(process.env.WRITE_QUEUE_FILE, JSON.stringify([
+            { id: 'failed-job', type: 'receipt', status: 'failed', lockKeys: [], steps: [], next: 0, attempts: 1, error: 'boom' }
+        ]));
+        const broken = await receive(server, 'broken');
+        assert.strictEqual(broken.status, 500);
+        assert.strictEqual(broken.body.transaction.status, 'failed');
+
+        // Neither replay ran the receipt again
+        assert.strictEqual(server.readStore().inventory[0].Qty, 12);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ITEMS, startServer } = require('./support');
+
+const RETURNABLE = ITEMS.map(item => item['Item Code'] === 'X1' ? { ...item, 'Returnable Item': 'Yes' } : item);
+
+test('loans go to the named borrower and are still voided when the issuance is reversed', async () => {
+    const server = await startServer({ items: RETURNABLE });
+    try {
+        const issued = await server.request('POST', '/inventory/issue', {
+            itemCode: 'X1', location: 'A', issuanceQty: 2, activity: 'Workshop', borrower: 'dana'
+        });
+        assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+        assert.strictEqual(issued.body.loan.Borrower, 'dana');
+        assert.strictEqual(issued.body.loan['Issued by'], 'clerk-user');
+
+        const reversed = await server.request('POST', '/inventory/transactions/issuance-2/reverse', { reason: 'Entered twice' }, server.tokens.admin);
+        assert.strictEqual(reversed.status, 200, JSON.stringify(reversed.body));
+        assert.strictEqual(reversed.body.loan.Status, 'Voided');
+    } finally {
+        await server.close();
+    }
+});
+
+test('loans default to the issuer when no borrower is named', async () => {
+    const server = await startServer({ items: RETURNABLE });
+    try {
+        const issued = await server.request('POST', '/inventory/issue', {
+            itemCode: 'X1', location: 'A', issuanceQty: 1, activity: 'Workshop'
+        });
+        assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+        assert.strictEqual(issued.body.loan.Borrower, 'clerk-user');
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+const SUBMISSION = {
+    Timestamp: '2024-01-02, 9:00:00 AM',
+    Location: 'A',
+    Description: 'Tape measure',
+    'Receipt Qty': 4,
+    'Returnable Item': 'No',
+    'Received by': 'clerk-user',
+    'Notes/Comments': '',
+    'Image Link': ''
+};
+
+test('a submission approved twice at once is added to inventory once', async () => {
+    const server = await startServer({ newItems: [SUBMISSION] });
+    try {
+        const body = { itemCode: 'ITM-00042', uom: 'pc', category: 'Tools' };
+        const responses = await Promise.all([1, 2].map(() =>
+            server.request('POST', '/inventory/pending/2/approve', body, server.tokens.admin)
+        ));
+
+        assert.deepStrictEqual(responses.map(response => response.status).sort(), [201, 409]);
+        const store = server.readStore();
+        assert.strictEqual(store.inventory.filter(item => item['Item Code'] === 'ITM-00042').length, 1);
+        assert.strictEqual(store.tables['New Item Reviews'].length, 1);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+test('archived items are left out of the reorder report', async () => {
+    const server = await startServer();
+    try {
+        const { admin } = server.tokens;
+        for (const [itemCode, location] of [['X1', 'A'], ['Y1', 'B']]) {
+            const saved = await server.request('PUT', '/inventory/reorderPoints', { itemCode, location, reorderPoint: 500, reorderQty: 10 }, admin);
+            assert.strictEqual(saved.status, 200);
+        }
+        const archived = await server.request('DELETE', '/inventory/items/Y1?location=B', { reason: 'Discontinued' }, admin);
+        assert.strictEqual(archived.status, 200, JSON.stringify(archived.body));
+
+        const report = await server.request('GET', '/inventory/reorder');
+        assert.deepStrictEqual(report.body.results.map(result => result['Item Code']), ['X1']);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+test('transfers leave reserved stock at the source', async () => {
+    const server = await startServer();
+    try {
+        const reserved = await server.request('POST', '/inventory/reservations', {
+            itemCode: 'X1', location: 'A', reservedQty: 8, activity: 'Workshop'
+        });
+        assert.strictEqual(reserved.status, 201, JSON.stringify(reserved.body));
+
+        const refused = await server.request('POST', '/inventory/transfer', {
+            itemCode: 'X1', transferQty: 3, fromLocation: 'A', toLocation: 'C'
+        });
+        assert.strictEqual(refused.status, 400, JSON.stringify(refused.body));
+        assert.strictEqual(refused.body.available, 2);
+
+        const moved = await server.request('POST', '/inventory/transfer', {
+            itemCode: 'X1', transferQty: 2, fromLocation: 'A', toLocation: 'C'
+        });
+        assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+        assert.strictEqual(moved.body.data['From Qty'], 8);
+    } finally {
+        await server.close();
+    }
+});
+
+test('reservations follow an item moved to another location', async () => {
+    const server = await startServer();
+    try {
+        const reserved = await server.request('POST', '/inventory/reservations', {
+            itemCode: 'X1', location: 'A', reservedQty: 8, activity: 'Workshop'
+        });
+        assert.strictEqual(reserved.status, 201, JSON.stringify(reserved.body));
+
+        const moved = await server.request('PATCH', '/inventory/items/X1?location=A', { location: 'C' }, server.tokens.admin);
+        assert.strictEqual(moved.status, 200, JSON.stringify(moved.body));
+
+        const refused = await server.request('POST', '/inventory/issue', {
+            itemCode: 'X1', location: 'C', issuanceQty: 5, activity: 'Other'
+        });
+        assert.strictEqual(refused.status, 400, JSON.stringify(refused.body));
+        assert.strictEqual(refused.body.available, 2);
+    } finally {
+        await server.close();
+    }
+});
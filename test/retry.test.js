@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withRetries } = require('../utils/retry');
+
+process.env.RETRY_MAX_DELAY_MS = '10';
+
+// A client whose calls fail once with a server error, counting attempts
+function flakyClient() {
+    const calls = { update: 0, batchUpdate: 0 };
+    const failOnce = name => async () => {
+        calls[name] += 1;
+        if (calls[name] === 1) {
+            throw Object.assign(new Error('Backend error'), { code: 503 });
+        }
+        return { data: {} };
+    };
+    return {
+        calls,
+        client: { spreadsheets: { batchUpdate: failOnce('batchUpdate'), values: { update: failOnce('update') } } }
+    };
+}
+
+test('row deletions are not repeated after a server error', async () => {
+    const { calls, client } = flakyClient();
+    const sheets = withRetries(client);
+
+    await assert.rejects(sheets.spreadsheets.batchUpdate({}), err => err.code === 503);
+    assert.strictEqual(calls.batchUpdate, 1);
+
+    await sheets.spreadsheets.values.update({});
+    assert.strictEqual(calls.update, 2);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+test('keywords match stored item columns only', async () => {
+    const server = await startServer();
+    try {
+        const archived = await server.request('DELETE', '/inventory/items/Y1?location=B', { reason: 'Discontinued' }, server.tokens.admin);
+        assert.strictEqual(archived.status, 200, JSON.stringify(archived.body));
+
+        const flagged = await server.request('GET', '/inventory/search?keyword=true&archived=include');
+        assert.strictEqual(flagged.status, 200, JSON.stringify(flagged.body));
+        assert.deepStrictEqual(flagged.body.results, []);
+
+        const stored = await server.request('GET', '/inventory/search?keyword=nail&archived=include');
+        assert.deepStrictEqual(stored.body.results.map(result => result['Item Code']), ['Y1']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('keywords ignore reserved and available quantities', async () => {
+    const server = await startServer();
+    try {
+        const reserved = await server.request('POST', '/inventory/reservations', {
+            itemCode: 'Y1', location: 'B', reservedQty: 10, activity: 'Workshop'
+        });
+        assert.strictEqual(reserved.status, 201, JSON.stringify(reserved.body));
+
+        const available = await server.request('GET', '/inventory/search?keyword=90');
+        assert.strictEqual(available.status, 200, JSON.stringify(available.body));
+        assert.deepStrictEqual(available.body.results, []);
+    } finally {
+        await server.close();
+    }
+});
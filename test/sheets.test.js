@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveSheetSchema } = require('../storage/sheetSchema');
+const { createSheetsStorage } = require('../storage/sheets');
+const { createFakeSheets, defaultTabs } = require('./fakeSheets');
+const { ITEMS } = require('./support');
+
+async function sheetsStorage() {
+    const client = createFakeSheets(defaultTabs(ITEMS));
+    const layout = await resolveSheetSchema(client, 'sheet-id');
+    return { client, storage: createSheetsStorage(client, 'sheet-id', layout) };
+}
+
+const ISSUANCE = {
+    Timestamp: '2024-01-02, 9:00:00 AM',
+    'Item Code': 'X1',
+    'Issuance Qty': 2,
+    Location: 'A',
+    Description: 'Hammer',
+    'Returnable Item': 'No',
+    'Issued by': 'clerk-user',
+    Activity: 'Workshop',
+    'Notes/Comments': '',
+    'Image Link': ''
+};
+
+const RECEIPT = {
+    Timestamp: '2024-01-02, 9:05:00 AM',
+    'Item Code': 'X1',
+    'Receipt Qty': 5,
+    Location: 'A',
+    Description: 'Hammer',
+    'Returnable Item': 'No',
+    'Received by': 'clerk-user',
+    'Notes/Comments': '',
+    'Image Link': ''
+};
+
+test('costs the ledger blocks have no column for are kept and read back', async () => {
+    const { client, storage } = await sheetsStorage();
+    await storage.appendIssuance({ ...ISSUANCE, 'Cost of Goods Issued': 3 });
+    await storage.appendReceipt({ ...RECEIPT, 'Unit Cost': 1.5 });
+
+    const { issuances, receipts } = await storage.listLedger();
+    assert.strictEqual(issuances[0]['Cost of Goods Issued'], '3');
+    assert.strictEqual(receipts[0]['Unit Cost'], '1.5');
+    assert.strictEqual(receipts[0]['Cost of Goods Issued'], undefined);
+    assert.strictEqual(client.tabs['Ledger Details'].length, 3);
+});
+
+test('quantities and units as entered are kept for issuances and receipts', async () => {
+    const { storage } = await sheetsStorage();
+    await storage.appendIssuance({ ...ISSUANCE, 'Entered Qty': 1, 'Entered UOM': 'pair' });
+    await storage.appendReceipt({ ...RECEIPT, 'Entered Qty': 5, 'Entered UOM': 'pc' });
+
+    const { issuances, receipts } = await storage.listLedger();
+    assert.deepStrictEqual([issuances[0]['Entered Qty'], issuances[0]['Entered UOM']], ['1', 'pair']);
+    assert.deepStrictEqual([receipts[0]['Entered Qty'], receipts[0]['Entered UOM']], ['5', 'pc']);
+});
+
+test('the reservation an issuance was made against is kept', async () => {
+    const { storage } = await sheetsStorage();
+    await storage.appendIssuance({ ...ISSUANCE, 'Reservation ID': 'c0ffee00-0000-4000-8000-000000000001' });
+
+    const { issuances } = await storage.listLedger();
+    assert.strictEqual(issuances[0]['Reservation ID'], 'c0ffee00-0000-4000-8000-000000000001');
+});
+
+test('an Inventory row is only removed while it still holds the same item', async () => {
+    const { client, storage } = await sheetsStorage();
+    const [nails, hammer] = await Promise.all([storage.findItem('Y1', 'B'), storage.findItem('X1', 'A')]);
+
+    await storage.deleteItem(hammer);
+    assert.deepStrictEqual(client.tabs.Inventory.slice(1).map(row => row[1]), ['Y1']);
+
+    // Nails moved up into the hammer's row
+    await assert.rejects(storage.deleteItem(nails), err => err.status === 409);
+    assert.strictEqual(client.tabs.Inventory.length, 2);
+});
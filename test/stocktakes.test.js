@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+test('posting a stocktake keeps the stock that moved after the count', async () => {
+    const server = await startServer();
+    try {
+        const opened = await server.request('POST', '/inventory/stocktakes', { location: 'A' });
+        assert.strictEqual(opened.status, 201, JSON.stringify(opened.body));
+        const id = opened.body.data['Session ID'];
+
+        // 10 on hand, 8 found: a variance of -2
+        const counted = await server.request('POST', `/inventory/stocktakes/${id}/counts`, {
+            counts: [{ itemCode: 'X1', countedQty: 8 }]
+        });
+        assert.strictEqual(counted.status, 201, JSON.stringify(counted.body));
+
+        const issued = await server.request('POST', '/inventory/issue', { itemCode: 'X1', location: 'A', issuanceQty: 3, activity: 'Workshop' });
+        assert.strictEqual(issued.status, 200, JSON.stringify(issued.body));
+
+        const posted = await server.request('POST', `/inventory/stocktakes/${id}/post`, {}, server.tokens.admin);
+        assert.strictEqual(posted.status, 200, JSON.stringify(posted.body));
+        assert.strictEqual(posted.body.results[0].Variance, -2);
+
+        const store = server.readStore();
+        assert.strictEqual(store.inventory.find(item => item['Item Code'] === 'X1').Qty, 5);
+        assert.strictEqual(store.tables.Adjustments[0]['Adjustment Qty'], -2);
+    } finally {
+        await server.close();
+    }
+});
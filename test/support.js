@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Everything the server writes goes to a scratch directory. This has to run
+// before the app's modules are loaded, as some read the environment then.
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+process.on('exit', () => fs.rmSync(scratchDir, { recursive: true, force: true }));
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-secret';
+process.env.USERS_FILE = path.join(scratchDir, 'users.json');
+process.env.WRITE_QUEUE_FILE = path.join(scratchDir, 'write-queue.json');
+
+const express = require('express');
+const users = require('../services/users');
+const inventoryRoutes = require('../routes/inventory');
+const { createFileStorage } = require('../storage/file');
+const { createCachedStorage } = require('../storage/cache');
+const { issueToken } = require('../middlewares/auth');
+
+const ITEMS = [
+    {
+        Location: 'A',
+        'Item Code': 'X1',
+        Description: 'Hammer',
+        UOM: 'pc',
+        Qty: 10,
+        Condition: 'Good',
+        'Returnable Item': 'No',
+        Category: 'Tools',
+        'Date Counted': '2024-01-01',
+        'Image Link': ''
+    },
+    {
+        Location: 'B',
+        'Item Code': 'Y1',
+        Description: 'Nails',
+        UOM: 'box',
+        Qty: 100,
+        Condition: 'New',
+        'Returnable Item': 'No',
+        Category: 'Consumables',
+        'Date Counted': '2024-01-01',
+        'Image Link': ''
+    }
+];
+
+let storeCount = 0;
+let tokens = null;
+
+async function signIn() {
+    if (!tokens) {
+        tokens = {};
+        for (const role of users.ROLES) {
+            await users.createUser({ username: `${role}-user`, password: 'password', role });
+            tokens[role] = issueToken({ username: `${role}-user`, role });
+        }
+    }
+    return tokens;
+}
+
+// Starts the inventory routes over a fresh file store seeded with `items`.
+// `wrap` may swap the storage for a stand-in around the file backend.
+async function startServer({ items = ITEMS, newItems = [], wrap = storage => storage } = {}) {
+    const storePath = path.join(scratchDir, `store-${++storeCount}.json`);
+    fs.writeFileSync(storePath, JSON.stringify({ inventory: items, issuances: [], receipts: [], newItems, tables: {} }));
+    const fileStorage = createFileStorage(storePath);
+    const storage = wrap(createCachedStorage(fileStorage, 0));
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.storage = storage;
+        next();
+    });
+    app.use('/inventory', inventoryRoutes);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://localhost:${server.address().port}`;
+    const { clerk } = await signIn();
+
+    async function request(method, url, body, token = clerk) {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    return {
+        storage,
+        fileStorage,
+        storePath,
+        baseUrl,
+        request,
+        tokens: await signIn(),
+        readStore: () => JSON.parse(fs.readFileSync(storePath, 'utf8')),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { ITEMS, startServer };
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./support');
+
+test('the transaction feed rejects filters given more than once', async () => {
+    const server = await startServer();
+    try {
+        const repeated = await server.request('GET', '/inventory/transactions?type=issuance&type=receipt');
+        assert.strictEqual(repeated.status, 400, JSON.stringify(repeated.body));
+
+        const listed = await server.request('GET', '/inventory/transactions?type=issuance,receipt');
+        assert.strictEqual(listed.status, 200, JSON.stringify(listed.body));
+    } finally {
+        await server.close();
+    }
+});
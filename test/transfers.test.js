@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { ITEMS, startServer } = require('./support');
+
+// Retries come round quickly while the connection is down
+process.env.RETRY_MAX_DELAY_MS = '50';
+
+test('a transfer interrupted by a dropped connection is queued and finished', async () => {
+    let offline = true;
+    const server = await startServer({
+        wrap: storage => ({
+            ...storage,
+            async appendItem(entry) {
+                if (offline) {
+                    throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+                }
+                return storage.appendItem(entry);
+            }
+        })
+    });
+    try {
+        const body = { itemCode: 'X1', transferQty: 2, fromLocation: 'A', toLocation: 'C' };
+        const queued = await server.request('POST', '/inventory/transfer', body);
+        assert.strictEqual(queued.status, 202, JSON.stringify(queued.body));
+
+        const blocked = await server.request('POST', '/inventory/transfer', body);
+        assert.strictEqual(blocked.status, 503, JSON.stringify(blocked.body));
+        offline = false;
+
+        let store = server.readStore();
+        for (let i = 0; i < 50 && !store.tables.Transfers; i++) {
+            await sleep(100);
+            store = server.readStore();
+        }
+        const qtys = Object.fromEntries(store.inventory
+            .filter(item => item['Item Code'] === 'X1')
+            .map(item => [item.Location, item.Qty]));
+        assert.deepStrictEqual(qtys, { A: 8, C: 2 });
+        assert.strictEqual(store.tables.Transfers.length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a transfer whose destination write is refused restores the source and is recorded as rolled back', async () => {
+    const server = await startServer({
+        items: [...ITEMS, { ...ITEMS[0], Location: 'B', Qty: 1 }],
+        wrap: storage => ({
+            ...storage,
+            async updateQty(item, qty) {
+                if (item.Location === 'B') {
+                    throw Object.assign(new Error('Quantity rejected'), { status: 400 });
+                }
+                return storage.updateQty(item, qty);
+            }
+        })
+    });
+    try {
+        const response = await server.request('POST', '/inventory/transfer', { itemCode: 'X1', transferQty: 4, fromLocation: 'A', toLocation: 'B' });
+        assert.strictEqual(response.status, 400, JSON.stringify(response.body));
+
+        const store = server.readStore();
+        const qtys = Object.fromEntries(store.inventory
+            .filter(item => item['Item Code'] === 'X1')
+            .map(item => [item.Location, item.Qty]));
+        assert.deepStrictEqual(qtys, { A: 10, B: 1 });
+        assert.deepStrictEqual(store.tables.Transfers.map(transfer => transfer.Status), ['Rolled Back']);
+
+        const writes = await server.request('GET', '/inventory/writes?status=rolled-back', undefined, server.tokens.admin);
+        assert.strictEqual(writes.body.writes.length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a transfer to a new location that fails after adding the row removes it again', async () => {
+    const server = await startServer({
+        wrap: storage => ({
+            ...storage,
+            async appendRecord(table, record) {
+                if (table === 'Transfers' && record.Status === 'Completed') {
+                    throw Object.assign(new Error('Headers of Transfers changed'), { status: 500 });
+                }
+                return storage.appendRecord(table, record);
+            }
+        })
+    });
+    try {
+        const response = await server.request('POST', '/inventory/transfer', { itemCode: 'X1', transferQty: 4, fromLocation: 'A', toLocation: 'C' });
+        assert.strictEqual(response.status, 500, JSON.stringify(response.body));
+
+        const store = server.readStore();
+        assert.deepStrictEqual(store.inventory.map(item => `${item['Item Code']}@${item.Location}=${item.Qty}`), ['X1@A=10', 'Y1@B=100']);
+        assert.deepStrictEqual(store.tables.Transfers.map(transfer => transfer.Status), ['Rolled Back']);
+    } finally {
+        await server.close();
+    }
+});
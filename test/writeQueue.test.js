@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { ITEMS, startServer } = require('./support');
+
+process.env.RETRY_MAX_DELAY_MS = '50';
+
+test('a retried append is only skipped when a record with its key is already there', async () => {
+    let offline = true;
+    const server = await startServer({
+        wrap: storage => ({
+            ...storage,
+            async appendRecord(table, record) {
+                if (offline && table === 'Transfers') {
+                    throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+                }
+                return storage.appendRecord(table, record);
+            }
+        })
+    });
+    try {
+        // An older row that shares every field but the key with the transfer below
+        await server.fileStorage.appendRecord('Transfers', { 'Item Code': 'X1', 'Transfer Qty': 2 });
+
+        const queued = await server.request('POST', '/inventory/transfer', { itemCode: 'X1', transferQty: 2, fromLocation: 'A', toLocation: 'C' });
+        assert.strictEqual(queued.status, 202, JSON.stringify(queued.body));
+        offline = false;
+
+        let transfers = server.readStore().tables.Transfers;
+        for (let i = 0; i < 50 && transfers.length < 2; i++) {
+            await sleep(100);
+            transfers = server.readStore().tables.Transfers;
+        }
+        assert.strictEqual(transfers.length, 2);
+        assert.strictEqual(transfers[1]['Transfer ID'], queued.body.data['Transfer ID']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a retried append that went through is not written again when Sheets reformats its values', async () => {
+    let responseLost = true;
+    const server = await startServer({
+        wrap: storage => ({
+            ...storage,
+            async appendRecord(table, record) {
+                const appended = await storage.appendRecord(table, record);
+                if (responseLost && table === 'Transfers') {
+                    responseLost = false;
+                    throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+                }
+                return appended;
+            },
+            // Dates and numbers come back formatted for display
+            async listRecords(table) {
+                const records = await storage.listRecords(table);
+                return table === 'Transfers'
+                    ? records.map(record => ({ ...record, Timestamp: '1/2/2024 10:00:00', 'Transfer Qty': '2.00' }))
+                    : records;
+            }
+        })
+    });
+    try {
+        const queued = await server.request('POST', '/inventory/transfer', { itemCode: 'X1', transferQty: 2, fromLocation: 'A', toLocation: 'C' });
+        assert.strictEqual(queued.status, 202, JSON.stringify(queued.body));
+
+        let write = await server.request('GET', `/inventory/writes/${queued.body.transaction.id}`);
+        for (let i = 0; i < 50 && write.body.status === 'pending'; i++) {
+            await sleep(100);
+            write = await server.request('GET', `/inventory/writes/${queued.body.transaction.id}`);
+        }
+        assert.strictEqual(write.body.status, 'committed');
+        assert.strictEqual(server.readStore().tables.Transfers.length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('an issuance that fails after reaching the ledger puts the Qty back and voids the entry', async () => {
+    const server = await startServer({
+        items: ITEMS.map(item => ({ ...item, 'Returnable Item': 'Yes' })),
+        wrap: storage => ({
+            ...storage,
+            async appendRecord(table, record) {
+                if (table === 'Loans') {
+                    throw Object.assign(new Error('Headers of Loans changed'), { status: 500 });
+                }
+                return storage.appendRecord(table, record);
+            }
+        })
+    });
+    try {
+        const issued = await server.request('POST', '/inventory/issue', { itemCode: 'X1', location: 'A', issuanceQty: 3, activity: 'Workshop' });
+        assert.strictEqual(issued.status, 500, JSON.stringify(issued.body));
+
+        const store = server.readStore();
+        assert.strictEqual(store.inventory[0].Qty, 10);
+        assert.strictEqual(store.issuances.length, 1);
+        assert.strictEqual(store.tables.Reversals.length, 1);
+
+        const feed = await server.request('GET', '/inventory/transactions?type=issuance');
+        assert.strictEqual(feed.status, 200, JSON.stringify(feed.body));
+        assert.strictEqual(feed.body.results[0].Voided, true);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,14 @@
+// Error carrying the HTTP status a controller should answer with
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Whether an error is worth logging. Conflicts, bad requests and the 503 for a
+// write still queued are answered to the client as part of normal use.
+function isUnexpected(err) {
+    return !err.status || (err.status >= 500 && err.status !== 503);
+}
+
+module.exports = { httpError, isUnexpected };
@@ -0,0 +1,27 @@
+// In-process keyed locks. Each key keeps the tail of a promise chain, so work
+// for the same key runs one at a time while other keys proceed in parallel.
+const tails = new Map();
+
+function withLock(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {}).then(() => {
+        if (tails.get(key) === tail) {
+            tails.delete(key);
+        }
+    });
+    tails.set(key, tail);
+    return run;
+}
+
+// Keys are taken in sorted order so two callers locking the same pair can't deadlock
+function withLocks(keys, fn) {
+    const sorted = [...new Set(keys)].sort();
+    return sorted.reduceRight((next, key) => () => withLock(key, next), fn)();
+}
+
+function itemKey(itemCode, location) {
+    return `item:${itemCode}@${location}`;
+}
+
+module.exports = { withLock, withLocks, itemKey };
@@ -0,0 +1,88 @@
+// Retries for Google API calls: rate limits (429), server errors (5xx) and
+// dropped connections are retried with exponential backoff and full jitter.
+const DEFAULT_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 250;
+const DEFAULT_MAX_DELAY_MS = 10000;
+
+const NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+// HTTP status of a Google API error; errors raised by our own code carry
+// `status` instead and are never retried
+function responseStatus(err) {
+    if (err.response && err.response.status) {
+        return err.response.status;
+    }
+    return typeof err.code === 'number' ? err.code : null;
+}
+
+function isRateLimited(err) {
+    return responseStatus(err) === 429;
+}
+
+function isRetryableError(err) {
+    const status = responseStatus(err);
+    return status === 429 || (status !== null && status >= 500) || NETWORK_ERRORS.includes(err.code);
+}
+
+// Callers retrying something slower than a Google call pass their own bounds
+function backoffDelay(attempt, { baseMs, maxMs } = {}) {
+    const base = baseMs || parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || DEFAULT_BASE_DELAY_MS;
+    const max = maxMs || parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || DEFAULT_MAX_DELAY_MS;
+    return Math.random() * Math.min(max, base * 2 ** attempt);
+}
+
+// Seconds from a Retry-After header, when Google sends one
+function retryAfter(err) {
+    const headers = err.response && err.response.headers;
+    const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    const seconds = parseFloat(value);
+    return isNaN(seconds) ? null : seconds * 1000;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs fn until it succeeds, fails with a non-retryable error or runs out of
+// attempts. Calls that aren't safe to repeat pass onlyRateLimits, since a
+// server error doesn't tell whether the write went through.
+async function withRetry(fn, { onlyRateLimits = false } = {}) {
+    const attempts = parseInt(process.env.RETRY_ATTEMPTS, 10) || DEFAULT_ATTEMPTS;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            const retryable = onlyRateLimits ? isRateLimited(err) : isRetryableError(err);
+            if (!retryable || attempt + 1 >= attempts) {
+                throw err;
+            }
+            const delay = Math.max(retryAfter(err) || 0, backoffDelay(attempt));
+            console.warn(`Google API call failed (${responseStatus(err) || err.code}), retrying in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Wraps a googleapis client so every API method retries. Methods named in
+// `unsafe` are only retried on 429: append and create add something new on
+// each call, and batchUpdate deletes rows by position, which after a first
+// attempt that went through would hit the rows that moved up.
+function withRetries(client, unsafe = ['append', 'create', 'batchUpdate']) {
+    return new Proxy(client, {
+        get(target, property) {
+            const value = target[property];
+            if (typeof value === 'function') {
+                return (...args) => withRetry(
+                    () => value.apply(target, args),
+                    { onlyRateLimits: unsafe.includes(property) }
+                );
+            }
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                return withRetries(value, unsafe);
+            }
+            return value;
+        }
+    });
+}
+
+module.exports = { isRetryableError, backoffDelay, withRetry, withRetries };
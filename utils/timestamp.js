@@ -0,0 +1,60 @@
+// Format a date as YYYY-MM-DD, HH:MM:SS AM/PM, the format used in Form Responses
+function formatTimestamp(now) {
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+
+    let hours = now.getHours();
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    const seconds = String(now.getSeconds()).padStart(2, '0');
+
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12;
+    hours = hours || 12; // if hours is 0, set it to 12
+
+    return `${year}-${month}-${day}, ${hours}:${minutes}:${seconds} ${ampm}`;
+}
+
+// Format a date as YYYY-MM-DD in local time
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// Parse a Form Responses timestamp back into a Date. Accepts the format written
+// by formatTimestamp and the M/D/YYYY H:MM:SS format of Google Forms submissions.
+function parseTimestamp(value) {
+    const text = String(value || '').trim();
+
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2}),?\s+(\d{1,2}):(\d{2}):(\d{2})\s*(AM|PM)$/i.exec(text);
+    if (match) {
+        const [, year, month, day, hours, minutes, seconds, ampm] = match;
+        let hour = parseInt(hours, 10) % 12;
+        if (ampm.toUpperCase() === 'PM') {
+            hour += 12;
+        }
+        return new Date(year, month - 1, day, hour, minutes, seconds);
+    }
+
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}):(\d{2}))?$/.exec(text);
+    if (match) {
+        const [, month, day, year, hours = 0, minutes = 0, seconds = 0] = match;
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    return null;
+}
+
+// Parse a YYYY-MM-DD date (local midnight) or a full ISO date-time
+function parseDate(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-');
+        return new Date(year, month - 1, day);
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { formatTimestamp, formatDate, parseTimestamp, parseDate };